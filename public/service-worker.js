@@ -0,0 +1,97 @@
+/* eslint-disable no-restricted-globals */
+// Offline support: caches the app shell, static bundles, map tiles and the last TLE/telemetry responses.
+
+const SHELL_CACHE = 'iss-shell-v1';
+const DATA_CACHE = 'iss-data-v1';
+const TILE_CACHE = 'iss-tiles-v1';
+const MAX_TILES = 400;
+const DATA_HOSTS = ['celestrak.org', 'www.celestrak.com', 'tle.ivanstanojevic.me', 'api.wheretheiss.at'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(['./', './index.html', './manifest.json', './iss-icon.svg']))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops cached /static/ bundles that the current build's asset-manifest.json no longer lists (each deploy brings
+// new hashed files). This file does not change between deploys, so besides activation it also runs after every
+// online navigation.
+async function pruneStaticAssets() {
+  const response = await fetch('./asset-manifest.json', { cache: 'no-store' });
+  if (!response.ok) return;
+  const { files = {} } = await response.json();
+  const referenced = new Set(Object.values(files).map((path) => new URL(path, self.location.href).pathname));
+  const cache = await caches.open(SHELL_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter((request) => {
+        const { pathname } = new URL(request.url);
+        return pathname.includes('/static/') && !referenced.has(pathname);
+      })
+      .map((request) => cache.delete(request))
+  );
+}
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))))
+      .then(() => pruneStaticAssets().catch(() => {}))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to the last cached response when offline.
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Cache first for immutable assets; tiles are trimmed to the newest MAX_TILES entries. Only successful basic/CORS
+// responses are stored: opaque ones may be errors and are padded to several MB each by the browser's quota.
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (maxEntries) {
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+    }
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    const response = networkFirst(request, SHELL_CACHE);
+    event.respondWith(response.catch(() => caches.match('./index.html')));
+    event.waitUntil(response.then(() => pruneStaticAssets()).catch(() => {}));
+  } else if (DATA_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (url.hostname.endsWith('tile.openstreetmap.org')) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/static/')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
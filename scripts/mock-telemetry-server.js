@@ -0,0 +1,74 @@
+// Local telemetry server with the WhereTheISS.at response shape, computed with SGP4 from a TLE file.
+// Usage: node scripts/mock-telemetry-server.js archivo.tle [puerto]
+// Then select "JSON genérico" in the app with http://localhost:4010/v1/satellites/{noradId}.
+const fs = require('fs');
+const http = require('http');
+const satellite = require('satellite.js');
+
+const STALE_EPOCH_DAYS = 3; // same threshold as the app's TLE age warning
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const [tlePath, portArg] = process.argv.slice(2);
+if (!tlePath) {
+  console.error('Uso: npm run mock:telemetry -- archivo.tle [puerto]');
+  console.error('Descarga un TLE reciente, p. ej. https://celestrak.org/NORAD/elements/gp.php?CATNR=25544&FORMAT=TLE');
+  process.exit(1);
+}
+const port = Number(portArg) || 4010;
+const lines = fs
+  .readFileSync(tlePath, 'utf8')
+  .split(/\r?\n/)
+  .map((line) => line.trim())
+  .filter(Boolean);
+
+const satellites = new Map();
+for (let i = 0; i < lines.length - 1; i += 1) {
+  if (lines[i].startsWith('1 ') && lines[i + 1].startsWith('2 ')) {
+    const noradId = String(Number(lines[i].substring(2, 7)));
+    const name = i > 0 && !lines[i - 1].startsWith('2 ') ? lines[i - 1] : `NORAD ${noradId}`;
+    satellites.set(noradId, { name, satrec: satellite.twoline2satrec(lines[i], lines[i + 1]) });
+    i += 1;
+  }
+}
+
+// SGP4 drifts several km per day past the epoch, so old element sets serve positions far from the real ones.
+satellites.forEach(({ name, satrec }) => {
+  const ageDays = (Date.now() - (satrec.jdsatepoch - 2440587.5) * DAY_MS) / DAY_MS;
+  if (ageDays > STALE_EPOCH_DAYS) {
+    console.warn(`[mock-telemetry] ${name}: el TLE tiene ${Math.floor(ageDays)} días; descarga uno más reciente.`);
+  }
+});
+
+// WhereTheISS-shaped position for a catalog number at the current second.
+function telemetryFor(noradId) {
+  const entry = satellites.get(noradId);
+  if (!entry) return null;
+  const date = new Date(Math.floor(Date.now() / 1000) * 1000);
+  const { position, velocity } = satellite.propagate(entry.satrec, date) || {};
+  if (!position) return null;
+  const geodetic = satellite.eciToGeodetic(position, satellite.gstime(date));
+  return {
+    name: entry.name.toLowerCase(),
+    id: Number(noradId),
+    latitude: satellite.degreesLat(geodetic.latitude),
+    longitude: satellite.degreesLong(geodetic.longitude),
+    altitude: geodetic.height,
+    velocity: Math.hypot(velocity.x, velocity.y, velocity.z) * 3600,
+    timestamp: date.getTime() / 1000,
+    units: 'kilometers',
+  };
+}
+
+http
+  .createServer((request, response) => {
+    const match = request.url.match(/^\/v1\/satellites\/(\d+)/);
+    const body = match ? telemetryFor(match[1]) : null;
+    response.writeHead(body ? 200 : 404, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    });
+    response.end(JSON.stringify(body || { error: 'satellite not found' }));
+  })
+  .listen(port, () => {
+    console.log(`[mock-telemetry] ${satellites.size} objetos en http://localhost:${port}/v1/satellites/{noradId}`);
+  });
@@ -1,13 +1,48 @@
 ﻿// Core dependencies: React hooks, Leaflet primitives, orbital math helpers, and styling.
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { MapContainer, TileLayer, Marker, Circle, Polyline, useMap, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Circle, CircleMarker, Polygon, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import dayjs from 'dayjs';
-import * as satellite from 'satellite.js';
 import 'leaflet/dist/leaflet.css';
 import './App.css';
 import issIconAsset from './assets/iss-icon.svg';
 import EarthGlobe from './components/EarthGlobe';
+import ElementSetImport from './components/ElementSetImport';
+import GroundTrackLayer from './components/GroundTrackLayer';
+import TelemetryDetails from './components/TelemetryDetails';
+import TelemetrySourcePanel from './components/TelemetrySourcePanel';
+import TerminatorLayer from './components/TerminatorLayer';
+import TleDiagnostics from './components/TleDiagnostics';
+import PassAlerts from './components/PassAlerts';
+import PassSchedule from './components/PassSchedule';
+import PlaceSearch from './components/PlaceSearch';
+import ResidualMonitor from './components/ResidualMonitor';
+import SatelliteCatalog from './components/SatelliteCatalog';
+import SimulationClock from './components/SimulationClock';
+import TargetList from './components/TargetList';
+import {
+  buildFootprintOutline,
+  buildFootprintRing,
+  computeIssState as computeLiveState,
+  computeOrbitalElements,
+  computeResiduals,
+  computeSatelliteState,
+  computeSubsolarPoint,
+  createSatrec,
+  footprintRadiusKm,
+  haversineDistanceKm,
+  orbitalPeriodMinutes,
+  splitAtAntimeridian,
+  splitRingAtAntimeridian,
+} from './lib/orbit';
+import { availableProviderTypes, createTelemetryProvider, DEFAULT_FIELD_MAPPING } from './lib/telemetryProviders';
+import { buildPassAlerts, deliverPassAlert, loadAlertSettings, saveAlertSettings } from './lib/passAlerts';
+import { clampSimTime, reachedSimTimeBound, SIM_DEFAULT_RATE } from './lib/simulationClock';
+import { createTarget, loadSavedTargets, saveTargets, withLinkedTarget } from './lib/savedTargets';
+import { loadTleCache, saveTleCache } from './lib/tleCache';
+import { parseTleCatalog, pickFreshestEntries, validateTleEntry } from './lib/tleCatalog';
+import { buildUrlSearch, isNewHistoryEntry, parseUrlState } from './lib/urlState';
+import { createPropagationClient } from './workers/propagationClient';
 
 import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
 import markerIcon from 'leaflet/dist/images/marker-icon.png';
@@ -22,26 +57,57 @@ L.Icon.Default.mergeOptions({
 });
 
 // Global configuration for telemetry refresh, orbital modeling, and UI timings.
-const ISS_API = 'https://api.wheretheiss.at/v1/satellites/25544';
+const ISS_NORAD_ID = '25544';
 const ISS_REFRESH_INTERVAL_MS = 2 * 60 * 60 * 1000; // refresh live telemetry every ~2 h
 const LIVE_UPDATE_INTERVAL_MS = 1000; // update synthetic position from TLE once per second
+const RESIDUAL_SAMPLE_INTERVAL_MS = 60 * 1000; // telemetry polling while residual monitoring is on
+const RESIDUAL_THRESHOLD_DEFAULT_KM = 5;
+const RESIDUAL_MAX_SAMPLES = 240;
 const HISTORY_SAMPLE_INTERVAL_MS = 10000; // keep one history sample every 10 s to tame memory usage
-const ORBIT_MINUTES = 92;
 const ORBITAL_SPEED_KM_S = 7.66; // fallback when no instantaneous velocity is available
 const INITIAL_VIEW = [0, 0];
 const PASS_LOOKAHEAD_MINUTES = 1440;
-const PASS_COARSE_STEP_SECONDS = 30; // coarse sampling window used to detect a potential pass
-const PASS_REFINE_STEP_SECONDS = 1; // fine-grained step for final timing accuracy
-const PASS_REFINE_WINDOW_SECONDS = 240; // +/- window explored around the coarse pass hit
-const PASS_THRESHOLD_COARSE_KM = 75;
+const MAX_SAVED_TARGETS = 8;
+const GEOLOCATION_TARGET_ID = 'geolocation';
 const PASS_THRESHOLD_DEFAULT_KM = 5;
+const PASS_MIN_ELEVATION_DEFAULT_DEG = 10;
+const SCHEDULE_DEFAULT_DAYS = 3;
 const TLE_SOURCES = [
-  { url: 'https://celestrak.org/NORAD/elements/stations.txt', format: 'text' },
-  { url: 'https://www.celestrak.com/NORAD/elements/stations.txt', format: 'text' },
-  { url: 'https://tle.ivanstanojevic.me/api/tle/25544', format: 'json' },
+  { label: 'CelesTrak', url: 'https://celestrak.org/NORAD/elements/stations.txt', format: 'text' },
+  { label: 'CelesTrak (espejo .com)', url: 'https://www.celestrak.com/NORAD/elements/stations.txt', format: 'text' },
+  { label: 'TLE API', url: 'https://tle.ivanstanojevic.me/api/tle/25544', format: 'json' },
 ];
+const CATALOG_GROUPS = [
+  { id: 'stations', label: 'Estaciones espaciales' },
+  { id: 'science', label: 'Científicos (Hubble...)' },
+  { id: 'visual', label: 'Más brillantes' },
+  { id: 'starlink', label: 'Starlink' },
+];
+const CATALOG_GROUP_URL = 'https://celestrak.org/NORAD/elements/gp.php?FORMAT=tle&GROUP=';
+const MAX_TRACKED_SATELLITES = 24;
+const SATELLITE_COLORS = ['#f97316', '#facc15', '#4ade80', '#f472b6', '#60a5fa', '#c084fc', '#2dd4bf', '#fb7185'];
+const GROUND_TRACK_STEP_SECONDS = 60;
+const GROUND_TRACK_REFRESH_MS = 5 * 60 * 1000; // recompute per-object ground tracks every 5 min
+const TLE_STALE_WARNING_DAYS = 3; // SGP4 errors grow to several km per day past the element set epoch
+const TLE_STALE_CRITICAL_DAYS = 7;
+const LIGHTING_REFRESH_MS = 60 * 1000; // day/night terminator follows the real clock minute by minute
+const ORBIT_TRACK_STEP_SECONDS = 30; // sampling of the active object's past/future orbit overlay
+const ORBIT_TRACK_DEFAULT_ORBITS = 2;
+const ORBIT_TRACK_MAX_ORBITS = 5;
+const FOOTPRINT_ELEVATION_OPTIONS = [0, 5, 10, 20, 30]; // elevation masks offered for the coverage footprint
 const SIM_STEP_SECONDS = 15;
-const SIM_TIME_SCALE = 120; // 1 real second represents roughly 2 simulated minutes
+const SIM_PASS_LEAD_MINUTES = 15; // scheduled passes start playback shortly before the rise
+const CLOCK_DERIVED_REFRESH_MS = 100; // secondary objects, footprint and lighting follow a playing clock at ~10 Hz
+const TRACK_REQUEST_INTERVAL_MS = 1000; // a playing clock asks the worker for new tracks at most once per second
+
+const ILLUMINATION_LABELS = { sunlit: 'Iluminada', penumbra: 'Penumbra', umbra: 'En sombra' };
+const LIGHTING_LABELS = {
+  day: 'Día',
+  civil: 'Crepúsculo civil',
+  nautical: 'Crepúsculo náutico',
+  astronomical: 'Crepúsculo astronómico',
+  night: 'Noche',
+};
 
 // Shared ISS icon used for the live marker and the selected objective.
 const issIcon = L.icon({
@@ -51,23 +117,6 @@ const issIcon = L.icon({
   iconAnchor: [21, 21],
 });
 
-// Computes the great-circle distance in kilometers between two coordinates (Haversine).
-function haversineDistanceKm(origin, target) {
-  if (!origin || !target) return null;
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const R = 6371;
-  const dLat = toRad(target.lat - origin.lat);
-  const dLon = toRad(target.lng - origin.lng);
-  const lat1 = toRad(origin.lat);
-  const lat2 = toRad(target.lat);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.sin(dLon / 2) * Math.sin(dLon / 2) * Math.cos(lat1) * Math.cos(lat2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
-
 // Returns a compact, human-friendly distance string (km or megameters).
 function formatDistance(distanceKm) {
   if (distanceKm == null || !Number.isFinite(distanceKm)) return '--';
@@ -77,6 +126,27 @@ function formatDistance(distanceKm) {
   return `${distanceKm.toFixed(0)} km`;
 }
 
+// Formats an azimuth as degrees plus its 8-point compass direction.
+function formatAzimuth(azimuthDeg) {
+  if (azimuthDeg == null || !Number.isFinite(azimuthDeg)) return '--';
+  const points = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO'];
+  const normalized = ((azimuthDeg % 360) + 360) % 360;
+  return `${normalized.toFixed(0)}° ${points[Math.round(normalized / 45) % 8]}`;
+}
+
+// Formats an estimated visual magnitude as a short suffix (empty when unknown).
+function formatMagnitude(magnitude) {
+  if (magnitude == null || !Number.isFinite(magnitude)) return '';
+  return ` • mag ${magnitude.toFixed(1)}`;
+}
+
+// One-line summary of whether a pass can be seen with the naked eye and why not otherwise.
+function describePassVisibility(pass) {
+  if (pass.visible) return `Visible a simple vista${formatMagnitude(pass.magnitude)}`;
+  if (pass.observerLighting === 'day') return 'No visible: de día en el objetivo';
+  return `No visible: ${ILLUMINATION_LABELS[pass.illumination]?.toLowerCase() || 'sin datos'}`;
+}
+
 // Formats ETA values choosing seconds/minutes/hours depending on magnitude.
 function formatEta(ms) {
   if (ms == null || !Number.isFinite(ms)) return '--';
@@ -86,7 +156,68 @@ function formatEta(ms) {
   return `${(minutes / 60).toFixed(1)} h`;
 }
 
+// Downloads one TLE source and returns its content as TLE text (JSON sources are converted).
+async function fetchTleSource(source) {
+  const response = await fetch(source.url);
+  if (!response.ok) throw new Error(`Respuesta ${response.status}`);
+  if (source.format !== 'json') return response.text();
+  const data = await response.json();
+  if (!data?.line1 || !data?.line2) throw new Error('JSON sin lineas TLE');
+  return `${data.name || 'ISS (ZARYA)'}\n${data.line1}\n${data.line2}`;
+}
+
+// Age of the element set since its epoch, with a warning level once predictions start to drift.
+function describeTleAge(entry, nowMs) {
+  if (!entry?.epochMs) return null;
+  const days = (nowMs - entry.epochMs) / 86400000;
+  let level = 'ok';
+  if (days >= TLE_STALE_CRITICAL_DAYS) level = 'critical';
+  else if (days >= TLE_STALE_WARNING_DAYS) level = 'warning';
+  const label = days < 1 ? `${Math.max(days * 24, 0).toFixed(1)} h` : `${days.toFixed(1)} días`;
+  return { days, level, label };
+}
+
+// Saved targets merged with the one encoded in a shared link, if any.
+function initialTargetState(link) {
+  const saved = loadSavedTargets();
+  return link.target ? withLinkedTarget(saved.targets, link.target, link.thresholdKm, PASS_THRESHOLD_DEFAULT_KM) : saved;
+}
+
+// True when the instant falls inside the simulated path.
+function isWithinPath(path, timeMs) {
+  return Boolean(path?.length) && timeMs != null && timeMs >= path[0].time && timeMs <= path[path.length - 1].time;
+}
+
+// Pass of the schedule starting at the linked instant (links keep second precision).
+function findLinkedPass(passes, riseMs) {
+  if (riseMs == null) return null;
+  return passes.find((pass) => Math.abs(pass.rise.time - riseMs) < 60 * 1000) || null;
+}
+
 // Custom Leaflet hook that captures click events and exposes the selected lat/lng.
+// Follows a fast-changing value at most once every intervalMs (always ending on its latest value) while throttled,
+// and immediately otherwise.
+function useThrottledValue(value, intervalMs, throttled) {
+  const [throttledValue, setThrottledValue] = useState(value);
+  const lastUpdateRef = useRef(0);
+
+  useEffect(() => {
+    const update = () => {
+      lastUpdateRef.current = Date.now();
+      setThrottledValue(value);
+    };
+    const wait = throttled ? lastUpdateRef.current + intervalMs - Date.now() : 0;
+    if (wait <= 0) {
+      update();
+      return undefined;
+    }
+    const timeout = setTimeout(update, wait);
+    return () => clearTimeout(timeout);
+  }, [value, intervalMs, throttled]);
+
+  return throttled ? throttledValue : value;
+}
+
 function MapClickSetter({ onSelect }) {
   useMapEvents({
     click(event) {
@@ -96,6 +227,27 @@ function MapClickSetter({ onSelect }) {
   return null;
 }
 
+// Reports the map view after every pan/zoom and moves the map when the view comes from a link (back/forward).
+function MapViewSync({ view, onViewChange }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!view) return;
+    const center = map.getCenter();
+    const sameView =
+      map.getZoom() === view.zoom && Math.abs(center.lat - view.lat) < 1e-3 && Math.abs(center.lng - view.lng) < 1e-3;
+    if (!sameView) map.setView([view.lat, view.lng], view.zoom);
+  }, [map, view]);
+
+  useMapEvents({
+    moveend() {
+      const center = map.getCenter();
+      onViewChange({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+    },
+  });
+  return null;
+}
+
 function MapAutoResize() {
   const map = useMap();
 
@@ -114,42 +266,153 @@ function MapAutoResize() {
 
 function App() {
   // Primary UI and simulation state: live telemetry, user target, orbital model, and animation controls.
-  const [issPosition, setIssPosition] = useState(null);
+  const [liveIssPosition, setLiveIssPosition] = useState(null);
   const [issHistory, setIssHistory] = useState([]);
-  const [targetPoint, setTargetPoint] = useState(null);
+  // State encoded in the URL when the app was opened from a shared link.
+  const [initialLink] = useState(() => parseUrlState(window.location.search));
+  const [initialTargets] = useState(() => initialTargetState(initialLink));
+  const [targets, setTargets] = useState(initialTargets.targets);
+  const [activeTargetId, setActiveTargetId] = useState(initialTargets.activeId);
+  const [mapView, setMapView] = useState(initialLink.map);
+  const [globeCamera, setGlobeCamera] = useState(initialLink.camera);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [error, setError] = useState(null);
-  const [tle, setTle] = useState(null);
+  const [catalog, setCatalog] = useState(() => loadTleCache());
+  const [importedEntries, setImportedEntries] = useState({});
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+  const [tleFetchFailed, setTleFetchFailed] = useState(false);
+  const [tleDiagnostics, setTleDiagnostics] = useState(null);
+  // A configured provider that cannot work from this page (HTTP-only API on HTTPS) falls back to the default.
+  const [telemetryConfig, setTelemetryConfig] = useState(() => ({
+    type: availableProviderTypes().some((type) => type.id === process.env.REACT_APP_TELEMETRY_PROVIDER)
+      ? process.env.REACT_APP_TELEMETRY_PROVIDER
+      : 'wheretheiss',
+    url: '',
+    mapping: DEFAULT_FIELD_MAPPING,
+    samples: [],
+  }));
+  const [telemetrySamples, setTelemetrySamples] = useState([]);
+  const [residualMonitoring, setResidualMonitoring] = useState(false);
+  const [residualThresholdKm, setResidualThresholdKm] = useState(RESIDUAL_THRESHOLD_DEFAULT_KM);
+  const [catalogGroupId, setCatalogGroupId] = useState(() =>
+    CATALOG_GROUPS.some((group) => group.id === initialLink.group) ? initialLink.group : CATALOG_GROUPS[0].id
+  );
+  const [groupMembers, setGroupMembers] = useState({});
+  const [isCatalogLoading, setIsCatalogLoading] = useState(false);
+  const [trackedIds, setTrackedIds] = useState(() => [...new Set([ISS_NORAD_ID, initialLink.satId].filter(Boolean))]);
+  const [activeSatId, setActiveSatId] = useState(initialLink.satId || ISS_NORAD_ID);
+  const [liveSatelliteStates, setLiveSatelliteStates] = useState({});
+  const [groundTrackEpoch, setGroundTrackEpoch] = useState(() => Date.now());
+  const [clockMs, setClockMs] = useState(() => Date.now());
+  const [showOrbitTrack, setShowOrbitTrack] = useState(true);
+  const [orbitTrackOrbits, setOrbitTrackOrbits] = useState(ORBIT_TRACK_DEFAULT_ORBITS);
+  const [orbitTrackSamples, setOrbitTrackSamples] = useState([]);
+  const [showFootprint, setShowFootprint] = useState(true);
+  const [footprintElevationDeg, setFootprintElevationDeg] = useState(FOOTPRINT_ELEVATION_OPTIONS[0]);
   const [satrec, setSatrec] = useState(null);
-  const [nextPassPrediction, setNextPassPrediction] = useState(null);
+  const [targetPasses, setTargetPasses] = useState({});
+  const [targetPassesFailed, setTargetPassesFailed] = useState(false);
+  const [passSchedule, setPassSchedule] = useState([]);
+  const [simulationPath, setSimulationPath] = useState(null);
+  const [groundTrackPaths, setGroundTrackPaths] = useState([]);
+  const [propagation, setPropagation] = useState(null);
   const [isSimPlaying, setIsSimPlaying] = useState(false);
-  const [simTimeMs, setSimTimeMs] = useState(null);
-  const [simSpeedMultiplier, setSimSpeedMultiplier] = useState(1);
-  const [passThresholdKm, setPassThresholdKm] = useState(PASS_THRESHOLD_DEFAULT_KM);
+  // Global simulation clock: null follows real time, otherwise every view shows that instant.
+  const [simTimeMs, setSimTimeMs] = useState(initialLink.simTimeMs);
+  const [simRate, setSimRate] = useState(initialLink.speed || SIM_DEFAULT_RATE);
+  // Slower copies of the clock for derived state that is too heavy to recompute on every animation frame.
+  const derivedSimTimeMs = useThrottledValue(simTimeMs, CLOCK_DERIVED_REFRESH_MS, isSimPlaying);
+  const trackSimTimeMs = useThrottledValue(simTimeMs, TRACK_REQUEST_INTERVAL_MS, isSimPlaying);
+  const [minElevationDeg, setMinElevationDeg] = useState(PASS_MIN_ELEVATION_DEFAULT_DEG);
+  const [scheduleDays, setScheduleDays] = useState(SCHEDULE_DEFAULT_DAYS);
+  const [selectedPass, setSelectedPass] = useState(null);
+  const [alertSettings, setAlertSettings] = useState(() => loadAlertSettings());
+  const [passAlert, setPassAlert] = useState(null);
   const lastHistoryUpdateRef = useRef(0);
+  // A linked pass waits here until the schedule that contains it exists.
+  const pendingPassRiseRef = useRef(initialLink.passRiseMs);
+  const urlSyncedRef = useRef(false);
+
+  useEffect(() => {
+    saveTargets(targets, activeTargetId);
+  }, [targets, activeTargetId]);
+
+  // The active saved target drives distance, schedule and simulation; kept stable while only its threshold changes.
+  const activeTarget = targets.find((target) => target.id === activeTargetId) || null;
+  const activeTargetLat = activeTarget?.lat;
+  const activeTargetLng = activeTarget?.lng;
+  const activeTargetName = activeTarget?.name;
+  const targetPoint = useMemo(
+    () =>
+      activeTargetLat != null ? { lat: activeTargetLat, lng: activeTargetLng, label: activeTargetName } : null,
+    [activeTargetLat, activeTargetLng, activeTargetName]
+  );
+  const passThresholdKm = activeTarget?.thresholdKm ?? PASS_THRESHOLD_DEFAULT_KM;
+  const inactiveTargets = useMemo(() => targets.filter((target) => target.id !== activeTargetId), [targets, activeTargetId]);
+  // Only coordinates matter for pass searches, so renames and threshold edits do not trigger new ones.
+  const targetObserversKey = JSON.stringify(targets.map(({ id, lat, lng }) => ({ id, lat, lng })));
+
+  // One propagation worker per mounted app; heavy orbit sweeps are requested from it asynchronously.
+  useEffect(() => {
+    const client = createPropagationClient();
+    setPropagation(client);
+    return () => client.terminate();
+  }, []);
+
+  // Stores freshly parsed element sets and remembers which catalog group they belong to.
+  const mergeCatalogEntries = useCallback((entries, groupId) => {
+    const fetchedAt = Date.now();
+    setCatalog((prev) => {
+      const next = { ...prev };
+      entries.forEach((entry) => {
+        next[entry.noradId] = { ...entry, fetchedAt };
+      });
+      return next;
+    });
+    setGroupMembers((prev) => ({ ...prev, [groupId]: entries.map((entry) => entry.noradId) }));
+  }, []);
+
+  // Runtime-selected telemetry source and whether it publishes positions for the active object.
+  const telemetryProvider = useMemo(() => createTelemetryProvider(telemetryConfig), [telemetryConfig]);
+  const telemetryAvailable = telemetryProvider.supports(activeSatId);
+  // Only the local mock derives its answers from the element set; other providers ignore it.
+  const providerSatrec = telemetryProvider.requiresElements ? satrec : null;
+  const telemetryReady = telemetryAvailable && (!telemetryProvider.requiresElements || Boolean(satrec));
+
+  // Samples from another source or object are not comparable with the current one.
+  useEffect(() => {
+    setTelemetrySamples([]);
+  }, [telemetryProvider, activeSatId]);
+
+  // Keeps the telemetry samples compared against SGP4, one per API timestamp.
+  const recordTelemetrySample = useCallback((position) => {
+    setTelemetrySamples((prev) =>
+      prev.some((sample) => sample.timestamp === position.timestamp) ? prev : [...prev, position].slice(-RESIDUAL_MAX_SAMPLES)
+    );
+  }, []);
 
   // Background effects overview:
-  // 1. Periodically poll the public API for ISS reference telemetry (~every 2h).
-  // 2. Refresh TLE sources hourly to keep the orbital solution current.
-  // 3. Recompute the satrec structure every time a new TLE is available.
+  // 1. Periodically poll the selected telemetry provider (~every 2h) while it covers the active object.
+  // 2. Refresh TLE sources hourly (and any extra catalog group) to keep the orbital solutions current.
+  // 3. Recompute the satrec structure every time a new TLE is available for the active object.
   // 4. Project the orbit forward to predict the next pass over the selected target.
   // 5. Reset the simulation when a new trajectory is generated.
   // 6. Advance the animation frame-by-frame using requestAnimationFrame.
   useEffect(() => {
+    if (!telemetryReady) return undefined;
     let cancelled = false;
+    const controller = new AbortController();
 
     const fetchIssData = async () => {
       try {
-        const response = await fetch(ISS_API);
-        if (!response.ok) throw new Error('No se pudo leer la telemetrÃ­a de la ISS');
-        const data = await response.json();
+        const position = await telemetryProvider.fetchPosition({
+          noradId: activeSatId,
+          satrec: providerSatrec,
+          signal: controller.signal,
+        });
         if (cancelled) return;
-        const position = {
-          lat: data.latitude,
-          lng: data.longitude,
-          timestamp: data.timestamp * 1000,
-          velocityKmh: data.velocity,
-        };
-        setIssPosition(position);
+        recordTelemetrySample(position);
+        setLiveIssPosition(position);
         setIssHistory((prev) => {
           const next = [...prev, position];
           return next.slice(-120);
@@ -164,56 +427,86 @@ function App() {
     const interval = setInterval(fetchIssData, ISS_REFRESH_INTERVAL_MS);
     return () => {
       cancelled = true;
+      controller.abort();
       clearInterval(interval);
     };
-  }, []);
+  }, [telemetryProvider, telemetryReady, activeSatId, providerSatrec, recordTelemetrySample]);
 
+  // Extra telemetry polling while the residual monitor is sampling (samples only, the marker stays on SGP4).
   useEffect(() => {
+    if (!residualMonitoring || !telemetryReady) return undefined;
     let cancelled = false;
+    const controller = new AbortController();
 
-    const fetchTle = async () => {
+    const sampleTelemetry = async () => {
       try {
-        let text = null;
-        let lastError = null;
+        const position = await telemetryProvider.fetchPosition({
+          noradId: activeSatId,
+          satrec: providerSatrec,
+          signal: controller.signal,
+        });
+        if (!cancelled) recordTelemetrySample(position);
+      } catch (err) {
+        // A missed sample only leaves a gap in the residual plot.
+      }
+    };
+
+    const interval = setInterval(sampleTelemetry, RESIDUAL_SAMPLE_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      controller.abort();
+      clearInterval(interval);
+    };
+  }, [residualMonitoring, telemetryProvider, telemetryReady, activeSatId, providerSatrec, recordTelemetrySample]);
+
+  useEffect(() => {
+    let cancelled = false;
 
-        for (const source of TLE_SOURCES) {
+    // Queries every source, validates the ISS element set of each and keeps the freshest valid epoch.
+    const fetchTle = async () => {
+      const checkedAt = Date.now();
+      const results = await Promise.all(
+        TLE_SOURCES.map(async (source) => {
           try {
-            const response = await fetch(source.url);
-            if (!response.ok) throw new Error(`Respuesta ${response.status}`);
-            if (source.format === 'json') {
-              const data = await response.json();
-              if (data?.line1 && data?.line2) {
-                const name = data?.name || 'ISS (ZARYA)';
-                text = `${name}\n${data.line1}\n${data.line2}`;
-              } else {
-                throw new Error('JSON sin lineas TLE');
-              }
-            } else {
-              text = await response.text();
-            }
-            break;
+            return { source, entries: parseTleCatalog(await fetchTleSource(source)) };
           } catch (err) {
-            lastError = err;
+            return { source, error: err.message };
           }
-        }
+        })
+      );
+      if (cancelled) return;
 
-        if (!text) {
-          const msg = lastError?.message || 'No se pudo descargar el TLE de la ISS';
-          throw new Error(`Fuentes TLE inalcanzables (${msg})`);
+      const freshest = pickFreshestEntries(results.flatMap((result) => result.entries || []), checkedAt);
+      const winner = freshest.find((entry) => entry.noradId === ISS_NORAD_ID);
+      let selectedFound = false;
+      const sources = results.map(({ source, entries, error: fetchError }) => {
+        const base = { label: source.label, url: source.url };
+        if (fetchError) return { ...base, status: 'error', message: fetchError };
+        const iss = entries.find((entry) => entry.noradId === ISS_NORAD_ID);
+        if (!iss) return { ...base, status: 'rejected', message: 'No incluye el TLE de la ISS' };
+        const check = validateTleEntry(iss, checkedAt);
+        if (!check.valid) return { ...base, status: 'rejected', epochMs: check.epochMs, message: check.issues.join(' • ') };
+        if (!selectedFound && check.epochMs === winner?.epochMs) {
+          selectedFound = true;
+          return { ...base, status: 'selected', epochMs: check.epochMs, message: `Época más reciente (${entries.length} elementos)` };
         }
-
-        if (cancelled) return;
-        const lines = text.split('\n').map((line) => line.trim());
-        const index = lines.findIndex((line) => line.toUpperCase().startsWith('ISS (ZARYA)'));
-        if (index >= 0 && lines[index + 1] && lines[index + 2]) {
-          setTle({ line1: lines[index + 1], line2: lines[index + 2], fetchedAt: Date.now() });
-          setError(null);
-        } else {
-          throw new Error('No encontramos el TLE de la ISS');
-        }
-      } catch (err) {
-        if (!cancelled) setError(err.message);
+        return { ...base, status: 'valid', epochMs: check.epochMs, message: 'Válido, pero con una época igual o más antigua' };
+      });
+      setTleDiagnostics({ checkedAt, sources });
+
+      if (!winner) {
+        const reachable = sources.filter((source) => source.status !== 'error');
+        const message = reachable.length
+          ? `Ningún TLE válido de la ISS (${reachable.map((source) => source.message).join('; ')})`
+          : `Fuentes TLE inalcanzables (${sources[sources.length - 1]?.message || 'sin respuesta'})`;
+        setTleFetchFailed(true);
+        setError(message);
+        return;
       }
+
+      mergeCatalogEntries(freshest, CATALOG_GROUPS[0].id);
+      setTleFetchFailed(false);
+      setError(null);
     };
 
     fetchTle();
@@ -222,71 +515,265 @@ function App() {
       cancelled = true;
       clearInterval(interval);
     };
+  }, [mergeCatalogEntries]);
+
+  // Downloads the selected CelesTrak group on demand; the stations group is covered by TLE_SOURCES.
+  useEffect(() => {
+    if (catalogGroupId === CATALOG_GROUPS[0].id || groupMembers[catalogGroupId]) return undefined;
+    let cancelled = false;
+
+    const fetchGroup = async () => {
+      setIsCatalogLoading(true);
+      try {
+        const response = await fetch(`${CATALOG_GROUP_URL}${catalogGroupId}`);
+        if (!response.ok) throw new Error(`Respuesta ${response.status}`);
+        const entries = pickFreshestEntries(parseTleCatalog(await response.text()));
+        if (cancelled) return;
+        if (!entries.length) throw new Error('el grupo no contiene elementos TLE');
+        mergeCatalogEntries(entries, catalogGroupId);
+      } catch (err) {
+        if (!cancelled) setError(`No pudimos cargar el catálogo (${err.message})`);
+      } finally {
+        if (!cancelled) setIsCatalogLoading(false);
+      }
+    };
+
+    fetchGroup();
+    return () => {
+      cancelled = true;
+    };
+  }, [catalogGroupId, groupMembers, mergeCatalogEntries]);
+
+  // Downloaded element sets overridden by the ones the user imported for the same object.
+  const elementSets = useMemo(() => ({ ...catalog, ...importedEntries }), [catalog, importedEntries]);
+
+  // Element set of the active object (the one driving target predictions and the simulation).
+  const tle = elementSets[activeSatId] || null;
+
+  // Persists the element sets of the tracked objects (and always the ISS) as the offline fallback.
+  useEffect(() => {
+    const ids = new Set([ISS_NORAD_ID, ...trackedIds]);
+    const entries = {};
+    ids.forEach((id) => {
+      if (catalog[id]) entries[id] = catalog[id];
+    });
+    if (Object.keys(entries).length) saveTleCache(entries);
+  }, [catalog, trackedIds]);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
   }, []);
 
   useEffect(() => {
-    if (tle?.line1 && tle?.line2) {
+    if (tle) {
       try {
-        setSatrec(satellite.twoline2satrec(tle.line1, tle.line2));
+        setSatrec(createSatrec(tle));
       } catch (err) {
         setError('No pudimos crear el modelo orbital');
       }
     }
   }, [tle]);
 
-  // Real-time distance between the ISS ground track and the user-selected target.
-  const distanceKm = useMemo(() => haversineDistanceKm(issPosition, targetPoint), [issPosition, targetPoint]);
-  const passThresholdMeters = useMemo(() => passThresholdKm * 1000, [passThresholdKm]);
+  // Switching the active object invalidates the breadcrumb trail of the previous one.
+  useEffect(() => {
+    lastHistoryUpdateRef.current = 0;
+    setLiveIssPosition(null);
+    setIssHistory([]);
+  }, [activeSatId]);
+
+  // One satrec per tracked object, each with a stable color taken from the palette.
+  const trackedSatellites = useMemo(
+    () =>
+      trackedIds
+        .map((id, index) => {
+          const entry = elementSets[id];
+          if (!entry) return null;
+          try {
+            return {
+              id,
+              name: entry.name,
+              color: SATELLITE_COLORS[index % SATELLITE_COLORS.length],
+              satrec: createSatrec(entry),
+            };
+          } catch (err) {
+            return null;
+          }
+        })
+        .filter(Boolean),
+    [trackedIds, elementSets]
+  );
+  const activeSatellite = trackedSatellites.find((sat) => sat.id === activeSatId) || null;
+
+  // Propagates every tracked object once per second for markers and per-object HUD metrics.
+  useEffect(() => {
+    if (!trackedSatellites.length) {
+      setLiveSatelliteStates({});
+      return undefined;
+    }
+
+    const updateStates = () => {
+      const now = Date.now();
+      const next = {};
+      trackedSatellites.forEach((sat) => {
+        const state = computeSatelliteState(sat.satrec, now);
+        if (state) next[sat.id] = state;
+      });
+      setLiveSatelliteStates(next);
+    };
+
+    updateStates();
+    const interval = setInterval(updateStates, LIVE_UPDATE_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [trackedSatellites]);
+
+  // Tracked objects at the simulated instant while time-travelling, otherwise the once-per-second live states.
+  const satelliteStates = useMemo(() => {
+    if (derivedSimTimeMs == null) return liveSatelliteStates;
+    const next = {};
+    trackedSatellites.forEach((sat) => {
+      const state = computeSatelliteState(sat.satrec, derivedSimTimeMs);
+      if (state) next[sat.id] = state;
+    });
+    return next;
+  }, [derivedSimTimeMs, liveSatelliteStates, trackedSatellites]);
 
-  // Normalizes longitude within [-180, 180] to avoid map wrap artifacts.
-  const normalizeLng = useCallback((lng) => {
-    if (!Number.isFinite(lng)) return lng;
-    let normalized = lng % 360;
-    if (normalized > 180) normalized -= 360;
-    if (normalized < -180) normalized += 360;
-    return normalized;
+  // Ground tracks start at real time (refreshed every 5 min) or follow the simulation clock in 5 min steps.
+  const trackEpochMs =
+    trackSimTimeMs != null
+      ? Math.floor(trackSimTimeMs / GROUND_TRACK_REFRESH_MS) * GROUND_TRACK_REFRESH_MS
+      : groundTrackEpoch;
+
+  useEffect(() => {
+    const interval = setInterval(() => setGroundTrackEpoch(Date.now()), GROUND_TRACK_REFRESH_MS);
+    return () => clearInterval(interval);
   }, []);
 
-  // Computes the sub-satellite point (lat/lng) for a given timestamp based on the current TLE.
-  const computeGroundPoint = useCallback((timeMs) => {
-    if (!satrec) return null;
-    const date = new Date(timeMs);
-    const positionAndVelocity = satellite.propagate(satrec, date);
-    if (!positionAndVelocity.position) return null;
-    const gmst = satellite.gstime(date);
-    const geodetic = satellite.eciToGeodetic(positionAndVelocity.position, gmst);
-    return {
-      lat: satellite.degreesLat(geodetic.latitude),
-      lng: satellite.degreesLong(geodetic.longitude),
+  useEffect(() => {
+    const interval = setInterval(() => setClockMs(Date.now()), LIGHTING_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Next-orbit ground track for each tracked object, computed in the worker.
+  useEffect(() => {
+    if (!propagation || !trackedSatellites.length) {
+      setGroundTrackPaths([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const controller = new AbortController();
+
+    propagation
+      .request(
+        'buildGroundTracks',
+        {
+          satellites: trackedSatellites.map((sat) => ({
+            id: sat.id,
+            satrec: sat.satrec,
+            endMs: trackEpochMs + orbitalPeriodMinutes(sat.satrec) * 60 * 1000,
+          })),
+          startMs: trackEpochMs,
+          stepMs: GROUND_TRACK_STEP_SECONDS * 1000,
+        },
+        { signal: controller.signal }
+      )
+      .then((tracks) => {
+        if (!cancelled) setGroundTrackPaths(tracks);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`No pudimos calcular las trazas (${err.message})`);
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
     };
-  }, [satrec]);
-
-  // Returns both geodetic coordinates and instantaneous velocity derived from the satrec model.
-  const computeIssState = useCallback(
-    (timeMs) => {
-      if (!satrec) return null;
-      const date = new Date(timeMs);
-      const positionAndVelocity = satellite.propagate(satrec, date);
-      if (!positionAndVelocity.position) return null;
-      const gmst = satellite.gstime(date);
-      const geodetic = satellite.eciToGeodetic(positionAndVelocity.position, gmst);
-      const lat = satellite.degreesLat(geodetic.latitude);
-      const lng = normalizeLng(satellite.degreesLong(geodetic.longitude));
-      let velocityKmh = null;
-      if (positionAndVelocity.velocity) {
-        const v = positionAndVelocity.velocity;
-        const kmPerSecond = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
-        velocityKmh = kmPerSecond * 3600;
-      }
-      return {
-        lat,
-        lng,
-        timestamp: timeMs,
-        velocityKmh,
-      };
-    },
-    [satrec, normalizeLng]
+  }, [propagation, trackedSatellites, trackEpochMs]);
+
+  // Previous and next N orbits of the active object, sampled with altitude for the map overlay.
+  useEffect(() => {
+    if (!propagation || !satrec || !showOrbitTrack) {
+      setOrbitTrackSamples([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const controller = new AbortController();
+    const stepMs = ORBIT_TRACK_STEP_SECONDS * 1000;
+    const spanMs = orbitTrackOrbits * orbitalPeriodMinutes(satrec) * 60 * 1000;
+
+    propagation
+      .request(
+        'propagateRange',
+        {
+          satrec,
+          startMs: Math.ceil((trackEpochMs - spanMs) / stepMs) * stepMs,
+          endMs: trackEpochMs + spanMs,
+          stepMs,
+        },
+        { signal: controller.signal }
+      )
+      .then((samples) => {
+        if (!cancelled) setOrbitTrackSamples(samples);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`No pudimos calcular la traza orbital (${err.message})`);
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [propagation, satrec, showOrbitTrack, orbitTrackOrbits, trackEpochMs]);
+
+  // Worker paths split at the antimeridian and colored like their object; the overlay replaces the active one.
+  const groundTracks = useMemo(
+    () =>
+      groundTrackPaths
+        .filter((track) => !(showOrbitTrack && track.id === activeSatId))
+        .map((track) => {
+          const sat = trackedSatellites.find((item) => item.id === track.id);
+          if (!sat) return null;
+          return {
+            id: track.id,
+            color: sat.color,
+            segments: splitAtAntimeridian(track.path.map((point) => [point.lat, point.lng])),
+          };
+        })
+        .filter(Boolean),
+    [groundTrackPaths, trackedSatellites, showOrbitTrack, activeSatId]
+  );
+
+  const passThresholdMeters = useMemo(() => passThresholdKm * 1000, [passThresholdKm]);
+
+  // Telemetry minus SGP4 residuals of the ISS, recomputed whenever a new element set arrives.
+  const residuals = useMemo(() => {
+    if (!satrec || !telemetryAvailable) return [];
+    return telemetrySamples.map((sample) => computeResiduals(satrec, sample)).filter(Boolean);
+  }, [satrec, telemetryAvailable, telemetrySamples]);
+
+  // Orbital elements of the active element set shown in the detailed telemetry panel.
+  const orbitalElements = useMemo(() => computeOrbitalElements(satrec), [satrec]);
+
+  // Returns geodetic coordinates, altitude, velocity and lighting (plus visibility from the target) from the satrec model.
+  const computeIssState = useCallback((timeMs) => computeLiveState(satrec, timeMs, targetPoint), [satrec, targetPoint]);
+
+  // Active object at the simulated instant while time-travelling, otherwise the live (telemetry or TLE) position. The
+  // derived copy follows the throttled clock for the footprint.
+  const clockIssState = useMemo(() => (simTimeMs != null ? computeIssState(simTimeMs) : null), [simTimeMs, computeIssState]);
+  const derivedIssState = useMemo(
+    () => (derivedSimTimeMs != null ? computeIssState(derivedSimTimeMs) : null),
+    [derivedSimTimeMs, computeIssState]
   );
+  const issPosition = clockIssState || liveIssPosition;
+
+  // Distance between the active object's ground point and the user-selected target.
+  const distanceKm = useMemo(() => haversineDistanceKm(issPosition, targetPoint), [issPosition, targetPoint]);
 
   // Synthesizes a "live" position from the TLE to keep the scene moving between telemetry refreshes.
   useEffect(() => {
@@ -298,7 +785,7 @@ function App() {
       const now = Date.now();
       const state = computeIssState(now);
       if (!state) return;
-      setIssPosition(state);
+      setLiveIssPosition(state);
       if (now - lastHistoryUpdateRef.current >= HISTORY_SAMPLE_INTERVAL_MS) {
         lastHistoryUpdateRef.current = now;
         setIssHistory((prev) => {
@@ -316,155 +803,194 @@ function App() {
     };
   }, [satrec, computeIssState]);
 
+  // Next pass over every saved target (the object must climb above the elevation mask), refreshed with the ground tracks.
   useEffect(() => {
-    if (!satrec || !targetPoint) {
-      setNextPassPrediction(null);
-      return;
+    const observers = JSON.parse(targetObserversKey);
+    if (!propagation || !satrec || !observers.length) {
+      setTargetPasses({});
+      return undefined;
     }
+    let cancelled = false;
+    const controller = new AbortController();
     const now = Date.now();
-    const end = now + PASS_LOOKAHEAD_MINUTES * 60 * 1000;
-    const coarseStepMs = PASS_COARSE_STEP_SECONDS * 1000;
-    const refineStepMs = PASS_REFINE_STEP_SECONDS * 1000;
-    const refineWindowMs = PASS_REFINE_WINDOW_SECONDS * 1000;
-    let best = { distance: Infinity, time: null };
-    let refineWindow = null;
-
-    const evaluatePoint = (timeMs) => {
-      const groundPoint = computeGroundPoint(timeMs);
-      if (!groundPoint) return null;
-      const ground = { lat: groundPoint.lat, lng: normalizeLng(groundPoint.lng) };
-      const dist = haversineDistanceKm(ground, targetPoint);
-      if (dist != null && dist < best.distance) {
-        best = { distance: dist, time: timeMs };
-      }
-      return dist;
+    setTargetPassesFailed(false);
+
+    Promise.all(
+      observers.map((observer) =>
+        propagation
+          .request(
+            'findPasses',
+            {
+              satrec,
+              observer,
+              startMs: now,
+              endMs: now + PASS_LOOKAHEAD_MINUTES * 60 * 1000,
+              minElevationDeg,
+              maxPasses: 1,
+            },
+            { signal: controller.signal }
+          )
+          .then(([pass]) => [observer.id, pass || null])
+      )
+    )
+      .then((results) => {
+        if (!cancelled) setTargetPasses(Object.fromEntries(results));
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setTargetPassesFailed(true);
+        setError(`No pudimos predecir el próximo pase (${err.message})`);
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
     };
+  }, [propagation, satrec, targetObserversKey, minElevationDeg, groundTrackEpoch]);
 
-    for (let t = now; t <= end; t += coarseStepMs) {
-      const dist = evaluatePoint(t);
-      if (dist != null && dist <= PASS_THRESHOLD_COARSE_KM) {
-        refineWindow = {
-          start: Math.max(now, t - refineWindowMs),
-          end: Math.min(end, t + refineWindowMs),
-        };
-        break;
-      }
-    }
+  const nextPass = (activeTargetId && targetPasses[activeTargetId]) || null;
+  // Why no target can get a pass at all; null while the search is merely pending.
+  let targetPassesUnavailable = null;
+  if (targetPassesFailed) targetPassesUnavailable = 'No se pudo calcular el próximo pase';
+  else if (!satrec && tleFetchFailed) targetPassesUnavailable = 'Sin TLE del objeto: no se pueden predecir pases';
+  const activeSatelliteName = activeSatellite?.name;
+  const targetLabel = targetPoint?.label;
 
-    if (refineWindow) {
-      let bestRefined = { distance: Infinity, time: null };
-      for (let t = refineWindow.start; t <= refineWindow.end; t += refineStepMs) {
-        const dist = evaluatePoint(t);
-        if (dist != null && dist < bestRefined.distance) {
-          bestRefined = { distance: dist, time: t };
-        }
-        if (dist != null && dist <= passThresholdKm) {
-          setNextPassPrediction({ time: t, distance: dist, thresholdHit: true });
-          return;
-        }
-      }
-      if (bestRefined.time) {
-        setNextPassPrediction({
-          time: bestRefined.time,
-          distance: bestRefined.distance,
-          thresholdHit: bestRefined.distance <= passThresholdKm,
-        });
-        return;
-      }
-    }
+  useEffect(() => {
+    saveAlertSettings(alertSettings);
+  }, [alertSettings]);
 
-    if (best.time) {
-      setNextPassPrediction({ time: best.time, distance: best.distance, thresholdHit: false });
-    } else {
-      setNextPassPrediction(null);
-    }
-  }, [satrec, targetPoint, computeGroundPoint, normalizeLng, passThresholdKm]);
+  // Timers for the reminders of the active target's next pass; rebuilt whenever the prediction (TLE, target) changes.
+  useEffect(() => {
+    const alerts = buildPassAlerts(nextPass, alertSettings, { satelliteName: activeSatelliteName, targetName: targetLabel });
+    const timers = alerts.map((alert) =>
+      setTimeout(() => {
+        deliverPassAlert(alert, alertSettings);
+        setPassAlert(alert);
+      }, alert.time - Date.now())
+    );
+    return () => timers.forEach((timer) => clearTimeout(timer));
+  }, [nextPass, alertSettings, activeSatelliteName, targetLabel]);
+
+  const upcomingAlert = useMemo(
+    () =>
+      buildPassAlerts(nextPass, alertSettings, { satelliteName: activeSatelliteName, targetName: targetLabel, nowMs: clockMs })[0] ||
+      null,
+    [nextPass, alertSettings, activeSatelliteName, targetLabel, clockMs]
+  );
 
-  // Builds the simulated ground track between "now" and the predicted pass.
-  const simulationPath = useMemo(() => {
-    if (!satrec || !targetPoint || !nextPassPrediction?.time) return null;
-    const now = Date.now();
-    const end = nextPassPrediction.time;
-    if (end <= now) return null;
-
-    const stepMs = SIM_STEP_SECONDS * 1000;
-    const path = [];
-    const startPoint = computeGroundPoint(now);
-    if (startPoint) {
-      path.push({ ...startPoint, time: now });
-    }
+  // The distance threshold only decides whether the pass goes over the point; no new search needed.
+  const nextPassPrediction = useMemo(
+    () => (nextPass ? { ...nextPass, thresholdHit: nextPass.distance <= passThresholdKm } : null),
+    [nextPass, passThresholdKm]
+  );
 
-    for (let t = now + stepMs; t <= end + stepMs; t += stepMs) {
-      const groundPoint = computeGroundPoint(t);
-      if (!groundPoint) continue;
-      const ground = { lat: groundPoint.lat, lng: normalizeLng(groundPoint.lng) };
-      const distance = haversineDistanceKm(ground, targetPoint);
-      path.push({ ...ground, time: t, distance });
-      if (distance != null && distance <= passThresholdKm) break;
+  // Every pass over the target within the schedule horizon (1-10 days).
+  useEffect(() => {
+    if (!propagation || !satrec || !targetPoint) {
+      setPassSchedule([]);
+      return undefined;
     }
+    let cancelled = false;
+    const controller = new AbortController();
+    const now = Date.now();
 
-    if (path.length < 2) return null;
+    propagation
+      .request(
+        'findPasses',
+        {
+          satrec,
+          observer: targetPoint,
+          startMs: now,
+          endMs: now + scheduleDays * 24 * 60 * 60 * 1000,
+          minElevationDeg,
+        },
+        { signal: controller.signal }
+      )
+      .then((passes) => {
+        if (!cancelled) setPassSchedule(passes);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`No pudimos calcular el calendario de pases (${err.message})`);
+      });
 
-    const lastPoint = path[path.length - 1];
-    if (lastPoint.time < end) {
-      const finalPoint = computeGroundPoint(end);
-      if (finalPoint) {
-        const ground = { lat: finalPoint.lat, lng: normalizeLng(finalPoint.lng) };
-        path.push({ ...ground, time: end });
-      }
-    }
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [propagation, satrec, targetPoint, scheduleDays, minElevationDeg]);
+
+  // A recomputed schedule invalidates the pass picked from the previous one (unless a link asked for one of its passes).
+  useEffect(() => {
+    setSelectedPass(findLinkedPass(passSchedule, pendingPassRiseRef.current));
+    if (passSchedule.length) pendingPassRiseRef.current = null;
+  }, [passSchedule]);
 
-    return path;
-  }, [satrec, targetPoint, nextPassPrediction?.time, computeGroundPoint, normalizeLng, passThresholdKm]);
+  // Pass played by the simulation: the one picked in the schedule, or the next one.
+  const simulationPass = selectedPass || nextPassPrediction;
+  const simulationLeadStart = selectedPass ? selectedPass.rise.time - SIM_PASS_LEAD_MINUTES * 60 * 1000 : null;
 
-  // Whenever a new path is generated, start the animation from the first timestamp.
+  // Builds the simulated ground track between "now" (or shortly before a scheduled pass) and the pass.
   useEffect(() => {
-    if (simulationPath?.length) {
-      setIsSimPlaying(false);
-      setSimTimeMs(simulationPath[0].time);
-    } else {
-      setIsSimPlaying(false);
-      setSimTimeMs(null);
+    const now = Date.now();
+    const start = Math.max(now, simulationLeadStart ?? now);
+    const end = simulationPass?.time;
+    if (!propagation || !satrec || !targetPoint || !end || end <= start) {
+      setSimulationPath(null);
+      return undefined;
     }
-  }, [simulationPath]);
+    let cancelled = false;
+    const controller = new AbortController();
+
+    propagation
+      .request(
+        'buildGroundTrack',
+        {
+          satrec,
+          startMs: start,
+          endMs: end,
+          stepMs: SIM_STEP_SECONDS * 1000,
+          target: targetPoint,
+          stopDistanceKm: passThresholdKm,
+        },
+        { signal: controller.signal }
+      )
+      .then((path) => {
+        if (!cancelled) setSimulationPath(path.length >= 2 ? path : null);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`No pudimos simular la trayectoria (${err.message})`);
+      });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [propagation, satrec, targetPoint, simulationPass?.time, simulationLeadStart, passThresholdKm]);
 
-  // requestAnimationFrame loop that advances the simulated clock respecting the current speed multiplier.
+  // requestAnimationFrame loop that advances the simulation clock at the current (possibly negative) rate.
   useEffect(() => {
-    if (!isSimPlaying || !simulationPath?.length) return undefined;
+    if (!isSimPlaying) return undefined;
     let frame;
-    let running = true;
     let previous = null;
-    const endTime = simulationPath[simulationPath.length - 1].time;
-    const speedFactor = SIM_TIME_SCALE * simSpeedMultiplier;
 
     const step = (timestamp) => {
-      if (!running) return;
-      if (previous == null) previous = timestamp;
-      const delta = timestamp - previous;
-      previous = timestamp;
-
-      setSimTimeMs((current) => {
-        const base = current ?? simulationPath[0].time;
-        const next = base + delta * speedFactor;
-        if (next >= endTime) {
-          running = false;
-          setIsSimPlaying(false);
-          return endTime;
-        }
-        return next;
-      });
-
-      if (running) {
-        frame = requestAnimationFrame(step);
+      if (previous != null) {
+        const delta = timestamp - previous;
+        setSimTimeMs((current) => clampSimTime((current ?? Date.now()) + delta * simRate));
       }
+      previous = timestamp;
+      frame = requestAnimationFrame(step);
     };
 
     frame = requestAnimationFrame(step);
-    return () => {
-      running = false;
-      if (frame) cancelAnimationFrame(frame);
-    };
-  }, [isSimPlaying, simulationPath, simSpeedMultiplier]);
+    return () => cancelAnimationFrame(frame);
+  }, [isSimPlaying, simRate]);
+
+  // Playback pauses once the clock reaches the bound it is running towards.
+  useEffect(() => {
+    if (isSimPlaying && simTimeMs != null && reachedSimTimeBound(simTimeMs, simRate)) setIsSimPlaying(false);
+  }, [isSimPlaying, simTimeMs, simRate]);
 
   // Fallback ETA assuming constant orbital speed when no precise prediction exists.
   const fallbackEtaMinutes = useMemo(() => {
@@ -473,28 +999,40 @@ function App() {
     return seconds / 60;
   }, [distanceKm]);
 
-  // Preferred ETA sourced from the refined pass prediction.
+  // Pass the ETA counts down to: the next one after the clock instant (from the schedule while time-travelling).
+  const etaPass = useMemo(() => {
+    if (simTimeMs == null) return nextPassPrediction;
+    return passSchedule.find((pass) => pass.time > simTimeMs) || null;
+  }, [simTimeMs, nextPassPrediction, passSchedule]);
+
+  // Preferred ETA sourced from the refined pass prediction, measured from the clock instant. The distance-based
+  // fallback only describes the present, so past the end of the schedule a simulated instant has no ETA.
   const etaMinutes = useMemo(() => {
-    if (nextPassPrediction?.time) {
-      return (nextPassPrediction.time - Date.now()) / 60000;
+    if (etaPass?.time) {
+      return (etaPass.time - (simTimeMs ?? Date.now())) / 60000;
     }
-    return fallbackEtaMinutes;
-  }, [nextPassPrediction, fallbackEtaMinutes]);
+    return simTimeMs == null ? fallbackEtaMinutes : null;
+  }, [etaPass, simTimeMs, fallbackEtaMinutes]);
+
+  // Mean orbital period of the active object, from its mean motion.
+  const periodMinutes = useMemo(() => orbitalPeriodMinutes(satrec), [satrec]);
 
   // Remaining orbits derived from the ETA estimate.
   const orbitsRemaining = useMemo(() => {
     if (etaMinutes == null) return null;
-    return etaMinutes / ORBIT_MINUTES;
-  }, [etaMinutes]);
+    return etaMinutes / periodMinutes;
+  }, [etaMinutes, periodMinutes]);
 
   // Human-readable timestamp displayed in the HUD for the next pass.
   const nextPassTime = useMemo(() => {
-    if (nextPassPrediction?.time) {
-      return dayjs(nextPassPrediction.time).format('DD MMM YYYY HH:mm:ss');
+    if (etaPass?.time) {
+      return dayjs(etaPass.time).format('DD MMM YYYY HH:mm:ss');
     }
     if (etaMinutes == null) return null;
-    return dayjs().add(etaMinutes, 'minute').format('DD MMM YYYY HH:mm:ss');
-  }, [nextPassPrediction, etaMinutes]);
+    return dayjs(simTimeMs ?? Date.now())
+      .add(etaMinutes, 'minute')
+      .format('DD MMM YYYY HH:mm:ss');
+  }, [etaPass, simTimeMs, etaMinutes]);
 
   // Instantaneous velocity derived from SGP4 (or telemetry as a last resort).
   const speedInfo = useMemo(() => {
@@ -508,25 +1046,25 @@ function App() {
     return null;
   }, [issPosition, computeIssState]);
 
-  // Interpolated position of the simulated marker between known samples.
-  const simulatedPosition = useMemo(() => {
-    if (!simulationPath?.length || simTimeMs == null) return null;
-    if (simTimeMs <= simulationPath[0].time) return simulationPath[0];
-    for (let i = 0; i < simulationPath.length - 1; i += 1) {
-      const current = simulationPath[i];
-      const next = simulationPath[i + 1];
-      if (simTimeMs >= current.time && simTimeMs <= next.time) {
-        const segment = next.time - current.time || 1;
-        const ratio = (simTimeMs - current.time) / segment;
-        return {
-          lat: current.lat + (next.lat - current.lat) * ratio,
-          lng: current.lng + (next.lng - current.lng) * ratio,
-          time: simTimeMs,
-        };
-      }
-    }
-    return simulationPath[simulationPath.length - 1];
-  }, [simulationPath, simTimeMs]);
+  // SGP4 state at the clock instant while it is inside the simulated path (not interpolated between samples,
+  // which cuts corners near the poles and across the antimeridian).
+  const simulatedPosition = useMemo(
+    () => (isWithinPath(simulationPath, simTimeMs) ? clockIssState : null),
+    [simulationPath, simTimeMs, clockIssState]
+  );
+
+  // Line-of-sight coverage around the position at the (throttled) clock instant, otherwise around the live one.
+  const footprint = useMemo(() => {
+    const center = derivedIssState || liveIssPosition;
+    if (!showFootprint || !center) return null;
+    const radiusKm = footprintRadiusKm(center.altitudeKm, footprintElevationDeg);
+    if (!radiusKm) return null;
+    return {
+      radiusKm,
+      outline: buildFootprintOutline(center, radiusKm),
+      mapParts: splitRingAtAntimeridian(buildFootprintRing(center, radiusKm)).map((part) => [part]),
+    };
+  }, [showFootprint, derivedIssState, liveIssPosition, footprintElevationDeg]);
 
   // Remaining distance to the objective based on the simulated track.
   const simDistanceRemaining = useMemo(() => {
@@ -549,61 +1087,150 @@ function App() {
     return Math.max(end - simTimeMs, 0);
   }, [simulationPath, simTimeMs]);
 
-  // Splits polylines when crossing +/-180Â° to prevent Leaflet from drawing long wraparound lines.
+  // Splits polylines when crossing +/-180° to prevent Leaflet from drawing long wraparound lines.
   const simulationSegments = useMemo(() => {
     if (!simulationPath?.length) return null;
-    const segments = [];
-    let current = [];
+    const segments = splitAtAntimeridian(simulationPath.map((point) => [point.lat, point.lng]));
+    return segments.length ? segments : null;
+  }, [simulationPath]);
 
-    simulationPath.forEach((point, index) => {
-      const coords = [point.lat, point.lng];
-      if (!current.length) {
-        current.push(coords);
-      } else {
-        const prev = current[current.length - 1];
-        const diff = Math.abs(coords[1] - prev[1]);
-        if (diff > 180) {
-          if (current.length > 1) segments.push(current);
-          current = [coords];
-        } else {
-          current.push(coords);
-        }
-      }
+  // Saves a new target (the oldest one is dropped past the limit) and makes it the active one.
+  const handleAddTarget = ({ id, name, lat, lng }) => {
+    const target = createTarget({ id, name, lat, lng, thresholdKm: passThresholdKm });
+    setTargets((prev) => [...prev.filter((item) => item.id !== target.id), target].slice(-MAX_SAVED_TARGETS));
+    setActiveTargetId(target.id);
+  };
 
-      if (index === simulationPath.length - 1 && current.length > 1) {
-        segments.push(current);
-      }
-    });
+  const handleRemoveTarget = (id) => {
+    setTargets((prev) => prev.filter((target) => target.id !== id));
+    if (id === activeTargetId) setActiveTargetId(null);
+  };
 
-    return segments.length ? segments : null;
-  }, [simulationPath]);
+  // The precision slider edits the threshold stored with the active target.
+  const handleThresholdChange = (thresholdKm) => {
+    setTargets((prev) => prev.map((target) => (target.id === activeTargetId ? { ...target, thresholdKm } : target)));
+  };
 
-  // Requests browser geolocation and uses that point as the active target.
+  // Requests browser geolocation and saves (or moves) the "Tu ubicación" target.
   const handleUseMyLocation = () => {
     if (!navigator.geolocation) {
-      setError('Tu navegador no soporta geolocalizaciÃ³n');
+      setError('Tu navegador no soporta geolocalización');
       return;
     }
 
     navigator.geolocation.getCurrentPosition(
       ({ coords }) =>
-        setTargetPoint({
+        handleAddTarget({
+          id: GEOLOCATION_TARGET_ID,
+          name: 'Tu ubicación',
           lat: coords.latitude,
           lng: coords.longitude,
-          label: 'Tu ubicaciÃ³n',
         }),
-      () => setError('No pudimos obtener tu ubicaciÃ³n'),
+      () => setError('No pudimos obtener tu ubicación'),
       { enableHighAccuracy: true, timeout: 5000 }
     );
   };
 
+  // Offline mode: no network or no reachable TLE source, but a stored element set keeps the model running.
+  const isOfflineMode = Boolean(tle) && (!isOnline || tleFetchFailed);
+  const tleAge = describeTleAge(tle, clockMs);
+
+  // Instant used for Sun lighting: the simulation clock when set, otherwise real time (per minute).
+  const lightingTimeMs = Math.floor((derivedSimTimeMs ?? clockMs) / 60000) * 60000;
+  const subsolarPoint = useMemo(() => computeSubsolarPoint(lightingTimeMs), [lightingTimeMs]);
+
   // Indicates if a full simulation path is available for controls to act upon.
   const simulationAvailable = Boolean(simulationPath?.length);
 
-  // Toggles the playback state of the simulation.
+  // Only a paused simulated instant is shared; during playback the link would be stale immediately.
+  const sharedSimTimeMs = !isSimPlaying && simTimeMs != null ? Math.round(simTimeMs / 1000) * 1000 : null;
+
+  // Mirrors the shared state into the query string: a new history entry for a new target, object or pass, a replacement otherwise.
+  useEffect(() => {
+    const state = {
+      target: targetPoint,
+      thresholdKm: targetPoint ? passThresholdKm : null,
+      satId: activeSatId,
+      group: catalogGroupId === CATALOG_GROUPS[0].id ? null : catalogGroupId,
+      map: mapView,
+      camera: globeCamera,
+      passRiseMs: selectedPass?.rise.time ?? pendingPassRiseRef.current,
+      simTimeMs: sharedSimTimeMs,
+      speed: simRate === SIM_DEFAULT_RATE ? null : simRate,
+    };
+    const search = buildUrlSearch(state);
+    if (search !== window.location.search) {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (urlSyncedRef.current && isNewHistoryEntry(parseUrlState(window.location.search), state)) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    }
+    urlSyncedRef.current = true;
+  }, [
+    targetPoint,
+    passThresholdKm,
+    activeSatId,
+    catalogGroupId,
+    mapView,
+    globeCamera,
+    selectedPass,
+    sharedSimTimeMs,
+    simRate,
+  ]);
+
+  // Back/forward navigation re-applies the state stored in the history entry.
+  useEffect(() => {
+    const handlePopState = () => {
+      const link = parseUrlState(window.location.search);
+      if (link.target) {
+        const linked = withLinkedTarget(targets, link.target, link.thresholdKm, PASS_THRESHOLD_DEFAULT_KM);
+        setTargets(linked.targets);
+        setActiveTargetId(linked.activeId);
+      } else {
+        setActiveTargetId(null);
+      }
+      const satId = link.satId || ISS_NORAD_ID;
+      setTrackedIds((prev) => (prev.includes(satId) ? prev : [satId, ...prev].slice(0, MAX_TRACKED_SATELLITES)));
+      setActiveSatId(satId);
+      if (CATALOG_GROUPS.some((group) => group.id === link.group)) setCatalogGroupId(link.group);
+      if (link.map) setMapView(link.map);
+      if (link.camera) setGlobeCamera(link.camera);
+      setSimRate(link.speed || SIM_DEFAULT_RATE);
+      setIsSimPlaying(false);
+      setSimTimeMs(link.simTimeMs);
+
+      const linkedPass = findLinkedPass(passSchedule, link.passRiseMs);
+      pendingPassRiseRef.current = linkedPass ? null : link.passRiseMs;
+      setSelectedPass(linkedPass);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [targets, passSchedule]);
+
+  // The URL already holds the shared state, so sharing is copying it.
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      setError('No pudimos copiar el enlace al portapapeles');
+    }
+  };
+
+  // Plays the route to the target forward on the global clock, jumping to its start when the clock is elsewhere.
   const handleSimPlayPause = () => {
     if (!simulationAvailable) return;
-    setIsSimPlaying((prev) => !prev);
+    if (isSimPlaying) {
+      setIsSimPlaying(false);
+      return;
+    }
+    if (!isWithinPath(simulationPath, simTimeMs)) setSimTimeMs(simulationPath[0].time);
+    setSimRate((prev) => Math.abs(prev));
+    setIsSimPlaying(true);
   };
 
   // Resets playback to the first simulated timestamp.
@@ -613,11 +1240,89 @@ function App() {
     setSimTimeMs(simulationPath[0].time);
   };
 
-  // Switches between 1x and 2x playback speed multipliers.
-  const handleSimSpeedToggle = () => {
-    setSimSpeedMultiplier((prev) => (prev === 1 ? 8 : 1));
+  // Loads a scheduled pass: the clock waits paused shortly before its rise.
+  const handleSelectPass = (pass) => {
+    setSelectedPass(pass);
+    setIsSimPlaying(false);
+    setSimTimeMs(Math.max(Date.now(), pass.rise.time - SIM_PASS_LEAD_MINUTES * 60 * 1000));
+  };
+
+  // Clock controls: play in either direction, step, jump to an instant or go back to real time.
+  const handleClockPlay = (direction) => {
+    setSimRate((prev) => Math.abs(prev) * direction);
+    setSimTimeMs((current) => current ?? Date.now());
+    setIsSimPlaying(true);
+  };
+
+  const handleClockStep = (deltaMs) => {
+    setIsSimPlaying(false);
+    setSimTimeMs((current) => clampSimTime((current ?? Date.now()) + deltaMs));
+  };
+
+  const handleClockJump = (timeMs) => setSimTimeMs(clampSimTime(timeMs));
+
+  const handleClockLive = () => {
+    setIsSimPlaying(false);
+    setSimTimeMs(null);
+  };
+
+  // Adds or removes an object from the tracked set; the active object cannot be dropped.
+  const handleToggleSatellite = (id) => {
+    if (id === activeSatId) return;
+    setTrackedIds((prev) => {
+      if (prev.includes(id)) return prev.filter((trackedId) => trackedId !== id);
+      if (prev.length >= MAX_TRACKED_SATELLITES) return prev;
+      return [...prev, id];
+    });
+  };
+
+  // Tracks every object of a launch batch (e.g. a Starlink deployment) up to the tracking cap.
+  const handleTrackLaunch = (launch) => {
+    const ids = (groupMembers[catalogGroupId] || []).filter((id) => catalog[id]?.launch === launch);
+    setTrackedIds((prev) => [...prev, ...ids.filter((id) => !prev.includes(id))].slice(0, MAX_TRACKED_SATELLITES));
   };
 
+  // Imported element sets are tracked right away and the first one becomes the active object.
+  const handleImportElements = (entries) => {
+    setImportedEntries((prev) => {
+      const next = { ...prev };
+      entries.forEach((entry) => {
+        next[entry.noradId] = { ...entry, fetchedAt: Date.now(), source: 'import' };
+      });
+      return next;
+    });
+    const ids = entries.map((entry) => entry.noradId);
+    setTrackedIds((prev) => [...ids.filter((id) => !prev.includes(id)), ...prev].slice(0, MAX_TRACKED_SATELLITES));
+    setActiveSatId(ids[0]);
+  };
+
+  // Drops an imported element set; the downloaded one (if any) takes over again.
+  const handleRemoveImported = (id) => {
+    setImportedEntries((prev) => {
+      const { [id]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (!catalog[id]) {
+      setTrackedIds((prev) => prev.filter((trackedId) => trackedId !== id));
+      if (activeSatId === id) setActiveSatId(ISS_NORAD_ID);
+    }
+  };
+
+  // Catalog entries of the group currently shown in the selector.
+  const catalogGroupEntries = useMemo(
+    () => (groupMembers[catalogGroupId] || []).map((id) => catalog[id]).filter(Boolean),
+    [groupMembers, catalogGroupId, catalog]
+  );
+
+  // Tracked objects other than the active one, with their latest propagated state.
+  const secondarySatellites = useMemo(
+    () =>
+      trackedSatellites
+        .filter((sat) => sat.id !== activeSatId && satelliteStates[sat.id])
+        .map((sat) => ({ id: sat.id, name: sat.name, color: sat.color, ...satelliteStates[sat.id] })),
+    [trackedSatellites, satelliteStates, activeSatId]
+  );
+
   return (
     <div className="map-page">
       <header className="page-hero">
@@ -636,8 +1341,8 @@ function App() {
       <div className="map-layout">
         <section className="map-layout__map map-panel map-panel--map" aria-label="Mapa orbital">
           <MapContainer
-            center={issPosition ? [issPosition.lat, issPosition.lng] : INITIAL_VIEW}
-            zoom={3}
+            center={mapView ? [mapView.lat, mapView.lng] : issPosition ? [issPosition.lat, issPosition.lng] : INITIAL_VIEW}
+            zoom={mapView?.zoom ?? 3}
             scrollWheelZoom
             className="map-full"
             style={{ width: '100%', height: '100%' }}
@@ -648,12 +1353,47 @@ function App() {
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              crossOrigin
               noWrap
             />
             <MapAutoResize />
+            <TerminatorLayer timeMs={lightingTimeMs} />
+            {footprint && (
+              <Polygon
+                positions={footprint.mapParts}
+                interactive={false}
+                pathOptions={{ color: activeSatellite?.color || '#f97316', weight: 1, fillOpacity: 0.08, dashArray: '4 4' }}
+              />
+            )}
+            {orbitTrackSamples.length > 1 && (
+              <GroundTrackLayer
+                samples={orbitTrackSamples}
+                splitTimeMs={Math.floor((issPosition?.timestamp ?? trackEpochMs) / 60000) * 60000}
+                color={activeSatellite?.color || '#f97316'}
+              />
+            )}
+            {groundTracks.map((track) =>
+              track.segments.map((segment, index) => (
+                <Polyline
+                  key={`track-${track.id}-${index}`}
+                  positions={segment}
+                  pathOptions={{ color: track.color, weight: 1, opacity: 0.45 }}
+                />
+              ))
+            )}
+            {secondarySatellites.map((sat) => (
+              <CircleMarker
+                key={sat.id}
+                center={[sat.lat, sat.lng]}
+                radius={6}
+                pathOptions={{ color: sat.color, fillColor: sat.color, fillOpacity: 0.9, weight: 1 }}
+              >
+                <Tooltip>{sat.name}</Tooltip>
+              </CircleMarker>
+            ))}
             {issPosition && (
               <Marker position={[issPosition.lat, issPosition.lng]} icon={issIcon}>
-                <span className="marker-label">ISS</span>
+                <span className="marker-label">{activeSatellite?.name || 'ISS'}</span>
               </Marker>
             )}
             {targetPoint && (
@@ -664,7 +1404,18 @@ function App() {
                 <Circle center={[targetPoint.lat, targetPoint.lng]} radius={passThresholdMeters} pathOptions={{ color: '#fb923c', weight: 1 }} />
               </>
             )}
-            {issHistory.length > 1 && (
+            {inactiveTargets.map((target) => (
+              <CircleMarker
+                key={target.id}
+                center={[target.lat, target.lng]}
+                radius={6}
+                pathOptions={{ color: '#94a3b8', fillColor: '#94a3b8', fillOpacity: 0.6, weight: 2 }}
+                eventHandlers={{ click: () => setActiveTargetId(target.id) }}
+              >
+                <Tooltip direction="top">{target.name}</Tooltip>
+              </CircleMarker>
+            ))}
+            {simTimeMs == null && issHistory.length > 1 && (
               <Polyline
                 positions={issHistory.map((point) => [point.lat, point.lng])}
                 pathOptions={{ color: '#22d3ee', weight: 2, opacity: 0.7 }}
@@ -685,21 +1436,31 @@ function App() {
                 pathOptions={{ color: '#a855f7', fillColor: '#a855f7', fillOpacity: 0.15, weight: 1 }}
               />
             )}
-            <MapClickSetter onSelect={(coords) => setTargetPoint(coords)} />
+            <MapViewSync view={mapView} onViewChange={setMapView} />
+            <MapClickSetter onSelect={({ lat, lng }) => handleAddTarget({ name: `Punto ${targets.length + 1}`, lat, lng })} />
           </MapContainer>
         </section>
         <aside className="map-layout__aside" aria-label="Panel de control y métricas">
           <EarthGlobe
-            issPosition={issPosition}
+            issPosition={liveIssPosition}
             targetPoint={targetPoint}
+            targets={inactiveTargets}
             simulationPath={simulationPath}
-            simulatedPosition={simulatedPosition}
+            simulatedPosition={clockIssState}
             isSimPlaying={isSimPlaying}
+            activeColor={activeSatellite?.color}
+            satellites={secondarySatellites}
+            sunPoint={subsolarPoint}
+            footprint={footprint?.outline}
+            cameraPosition={globeCamera}
+            onCameraChange={setGlobeCamera}
+            timeMs={simTimeMs}
+            satrec={satrec}
           />
 
           <div className="hud-card hud-card--telemetry map-panel map-panel--telemetry">
             <div>
-              <div className="panel-label">Posición ISS</div>
+              <div className="panel-label">Posición {activeSatellite?.name || 'ISS'}</div>
               <div className="panel-value">
                 {issPosition ? `${issPosition.lat.toFixed(2)}°, ${issPosition.lng.toFixed(2)}°` : 'Cargando'}
               </div>
@@ -708,21 +1469,154 @@ function App() {
               <div className="panel-label">Última actualización</div>
               <div className="panel-value">{issPosition ? dayjs(issPosition.timestamp).format('HH:mm:ss') : '--:--:--'}</div>
             </div>
+            <div>
+              <div className="panel-label">Antigüedad TLE</div>
+              <div className={`panel-value tle-age tle-age--${tleAge?.level || 'ok'}`}>{tleAge ? tleAge.label : '--'}</div>
+              {tleAge?.level === 'warning' && <div className="panel-helper">Predicciones degradándose: actualiza el TLE</div>}
+              {tleAge?.level === 'critical' && <div className="panel-helper">TLE obsoleto: posiciones poco fiables</div>}
+              {tle?.source === 'import' ? (
+                <div className="panel-helper">Importado por el usuario</div>
+              ) : (
+                tle?.fetchedAt && <div className="panel-helper">Descargado {dayjs(tle.fetchedAt).format('DD MMM HH:mm')}</div>
+              )}
+            </div>
+            <div>
+              <div className="panel-label">Altitud</div>
+              <div className="panel-value">
+                {Number.isFinite(issPosition?.altitudeKm) ? `${issPosition.altitudeKm.toFixed(1)} km` : '--'}
+              </div>
+            </div>
             <div>
               <div className="panel-label">Velocidad</div>
               <div className="panel-value">
                 {speedInfo ? `${speedInfo.kmh.toFixed(0)} km/h (${speedInfo.kms.toFixed(2)} km/s)` : '--'}
               </div>
             </div>
+            <div>
+              <div className="panel-label">Huella de cobertura</div>
+              <div className="panel-value">{footprint ? `${footprint.radiusKm.toFixed(0)} km de radio` : '--'}</div>
+              {footprint && <div className="panel-helper">Elevación ≥ {footprintElevationDeg}° sobre el horizonte</div>}
+            </div>
+            <div>
+              <div className="panel-label">Iluminación</div>
+              <div className="panel-value">{ILLUMINATION_LABELS[issPosition?.illumination] || '--'}</div>
+              {targetPoint && issPosition?.observerLighting && (
+                <div className="panel-helper">
+                  {issPosition.visible
+                    ? `Visible desde el objetivo${formatMagnitude(issPosition.magnitude)}`
+                    : `No visible • ${LIGHTING_LABELS[issPosition.observerLighting]}`}
+                </div>
+              )}
+            </div>
           </div>
 
+          <TelemetryDetails name={activeSatellite?.name || 'ISS'} state={issPosition} elements={orbitalElements} />
+
+          <ResidualMonitor
+            residuals={residuals}
+            thresholdKm={residualThresholdKm}
+            onThresholdChange={setResidualThresholdKm}
+            monitoring={residualMonitoring}
+            onMonitoringChange={setResidualMonitoring}
+            available={telemetryAvailable}
+            sourceLabel={telemetryProvider.label}
+          />
+
+          <TelemetrySourcePanel config={telemetryConfig} onChange={setTelemetryConfig} available={telemetryAvailable} />
+
+          <TleDiagnostics report={tleDiagnostics} />
+
+          <ElementSetImport
+            imported={Object.values(importedEntries)}
+            onImport={handleImportElements}
+            onRemove={handleRemoveImported}
+          />
+
+          <div className="hud-card map-panel sat-tracked">
+            <div className="panel-label">Objetos seguidos</div>
+            <table className="sat-tracked__table">
+              <thead>
+                <tr>
+                  <th>Activo</th>
+                  <th>Objeto</th>
+                  <th>Posición</th>
+                  <th>Altitud</th>
+                  <th>Velocidad</th>
+                  <th>Al objetivo</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {trackedSatellites.map((sat) => {
+                  const state = satelliteStates[sat.id];
+                  return (
+                    <tr key={sat.id}>
+                      <td>
+                        <input
+                          type="radio"
+                          name="active-satellite"
+                          checked={sat.id === activeSatId}
+                          onChange={() => setActiveSatId(sat.id)}
+                          aria-label={`Usar ${sat.name} como objeto activo`}
+                        />
+                      </td>
+                      <td>
+                        <span className="legend-dot" style={{ background: sat.color }} /> {sat.name}
+                      </td>
+                      <td>{state ? `${state.lat.toFixed(1)}°, ${state.lng.toFixed(1)}°` : '--'}</td>
+                      <td>{state ? `${state.altitudeKm.toFixed(0)} km` : '--'}</td>
+                      <td>{state?.velocityKmh ? `${(state.velocityKmh / 3600).toFixed(2)} km/s` : '--'}</td>
+                      <td>{formatDistance(haversineDistanceKm(state, targetPoint))}</td>
+                      <td>
+                        {sat.id !== activeSatId && (
+                          <button className="tertiary" onClick={() => handleToggleSatellite(sat.id)} aria-label={`Dejar de seguir ${sat.name}`}>
+                            ×
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <SatelliteCatalog
+            groups={CATALOG_GROUPS}
+            groupId={catalogGroupId}
+            onGroupChange={setCatalogGroupId}
+            entries={catalogGroupEntries}
+            trackedIds={trackedIds}
+            maxTracked={MAX_TRACKED_SATELLITES}
+            loading={isCatalogLoading}
+            onToggle={handleToggleSatellite}
+            onTrackLaunch={handleTrackLaunch}
+          />
+
+          <PassAlerts settings={alertSettings} onChange={setAlertSettings} upcoming={upcomingAlert} />
+
+          <PlaceSearch online={isOnline} onSelect={({ shortName, lat, lng }) => handleAddTarget({ name: shortName, lat, lng })} />
+
+          <TargetList
+            targets={targets}
+            activeId={activeTargetId}
+            passes={targetPasses}
+            passesUnavailable={targetPassesUnavailable}
+            onSelect={setActiveTargetId}
+            onRemove={handleRemoveTarget}
+            onAdd={handleAddTarget}
+          />
+
           <div className="hud-card hud-card--controls map-panel map-panel--controls">
             <button className="primary" onClick={handleUseMyLocation}>
               Usar mi ubicación
             </button>
-            <button className="secondary" onClick={() => setTargetPoint(null)}>
+            <button className="secondary" disabled={!activeTarget} onClick={() => setActiveTargetId(null)}>
               Limpiar objetivo
             </button>
+            <button className="secondary" onClick={handleCopyLink}>
+              {linkCopied ? 'Enlace copiado' : 'Copiar enlace'}
+            </button>
             <label className="panel-label" htmlFor="precision-slider">
               Precisión objetivo ({passThresholdKm.toFixed(0)} km)
             </label>
@@ -733,15 +1627,68 @@ function App() {
               max="500"
               step="5"
               value={passThresholdKm}
-              onChange={(event) => setPassThresholdKm(Number(event.target.value))}
+              disabled={!activeTarget}
+              onChange={(event) => handleThresholdChange(Number(event.target.value))}
+            />
+            <label className="panel-label" htmlFor="elevation-slider">
+              Elevación mínima ({minElevationDeg.toFixed(0)}°)
+            </label>
+            <input
+              id="elevation-slider"
+              type="range"
+              min="0"
+              max="60"
+              step="1"
+              value={minElevationDeg}
+              onChange={(event) => setMinElevationDeg(Number(event.target.value))}
             />
+            <div className="orbit-track-controls">
+              <label className="panel-label">
+                <input type="checkbox" checked={showOrbitTrack} onChange={(event) => setShowOrbitTrack(event.target.checked)} />{' '}
+                Traza orbital
+              </label>
+              <select
+                aria-label="Órbitas pasadas y futuras"
+                value={orbitTrackOrbits}
+                disabled={!showOrbitTrack}
+                onChange={(event) => setOrbitTrackOrbits(Number(event.target.value))}
+              >
+                {Array.from({ length: ORBIT_TRACK_MAX_ORBITS }, (_, index) => index + 1).map((count) => (
+                  <option key={count} value={count}>
+                    ±{count} {count === 1 ? 'órbita' : 'órbitas'}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="orbit-track-controls">
+              <label className="panel-label">
+                <input type="checkbox" checked={showFootprint} onChange={(event) => setShowFootprint(event.target.checked)} />{' '}
+                Huella de cobertura
+              </label>
+              <select
+                aria-label="Elevación mínima de la huella"
+                value={footprintElevationDeg}
+                disabled={!showFootprint}
+                onChange={(event) => setFootprintElevationDeg(Number(event.target.value))}
+              >
+                {FOOTPRINT_ELEVATION_OPTIONS.map((elevation) => (
+                  <option key={elevation} value={elevation}>
+                    ≥ {elevation}°
+                  </option>
+                ))}
+              </select>
+            </div>
             <div className="panel-helper">También puedes hacer clic en el mapa para definir el punto.</div>
             {targetPoint && !simulationAvailable && (
               <div className="panel-helper">Calculando trayectoria orbital...</div>
             )}
             {simulationAvailable && (
               <div className="sim-panel-inline">
-                <div className="panel-label">Simulación al objetivo</div>
+                <div className="panel-label">
+                  {selectedPass
+                    ? `Simulación del pase ${dayjs(selectedPass.culmination.time).format('DD MMM HH:mm')}`
+                    : 'Simulación al objetivo'}
+                </div>
                 <div className="sim-panel__metrics">
                   <span>{formatDistance(simDistanceRemaining)}</span>
                   <span>{formatEta(simEtaMs)}</span>
@@ -756,22 +1703,37 @@ function App() {
                   <button className="tertiary" onClick={handleSimReset} disabled={simProgress === 0 && !isSimPlaying}>
                     Reiniciar
                   </button>
-                  <button className="tertiary" onClick={handleSimSpeedToggle}>
-                    {simSpeedMultiplier === 1 ? 'x1' : 'x2'}
-                  </button>
                 </div>
                 <div className="panel-helper">
                   {isSimPlaying ? 'Reproduciendo' : 'Pausado'} • ETA sim {formatEta(simEtaMs)}
                 </div>
+                {selectedPass && (
+                  <button className="tertiary" onClick={() => setSelectedPass(null)}>
+                    Volver al próximo pase
+                  </button>
+                )}
               </div>
             )}
           </div>
         </aside>
       </div>
 
+      <SimulationClock
+        timeMs={simTimeMs}
+        playing={isSimPlaying}
+        rate={simRate}
+        markers={passSchedule.map((pass) => pass.rise.time)}
+        onPlay={handleClockPlay}
+        onPause={() => setIsSimPlaying(false)}
+        onStep={handleClockStep}
+        onJump={handleClockJump}
+        onRateChange={setSimRate}
+        onLive={handleClockLive}
+      />
+
       <div className="hud hud--bottom">
         <div className="hud-section">
-          <div className="panel-label">Punto objetivo</div>
+          <div className="panel-label">Punto objetivo{targetPoint ? ` · ${targetPoint.label}` : ''}</div>
           <div className="panel-value">
             {targetPoint ? `${targetPoint.lat.toFixed(2)}°, ${targetPoint.lng.toFixed(2)}°` : 'Sin objetivo'}
           </div>
@@ -780,9 +1742,36 @@ function App() {
           <div className="panel-label">Distancia ISS ↔ Punto</div>
           <div className="panel-value">{formatDistance(distanceKm)}</div>
         </div>
+        <div className="hud-section">
+          <div className="panel-label">Culminación</div>
+          <div className="panel-value">
+            {nextPassPrediction ? `${nextPassPrediction.maxElevation.toFixed(0)}° elev.` : '--'}
+          </div>
+          {nextPassPrediction && (
+            <div className="panel-helper">
+              Azimut {formatAzimuth(nextPassPrediction.culmination.azimuth)} • Alcance{' '}
+              {formatDistance(nextPassPrediction.culmination.rangeKm)}
+            </div>
+          )}
+        </div>
         <div className="hud-section">
           <div className="panel-label">Próximo paso estimado</div>
           <div className="panel-value">{nextPassTime || '--'}</div>
+          {nextPassPrediction && (
+            <>
+              <div className="panel-helper">
+                Sale {dayjs(nextPassPrediction.rise.time).format('HH:mm:ss')} • {formatAzimuth(nextPassPrediction.rise.azimuth)}
+              </div>
+              <div className="panel-helper">
+                Se pone {dayjs(nextPassPrediction.set.time).format('HH:mm:ss')} • {formatAzimuth(nextPassPrediction.set.azimuth)}
+              </div>
+            </>
+          )}
+          {nextPassPrediction && (
+            <div className={`panel-helper pass-visibility${nextPassPrediction.visible ? ' is-visible' : ''}`}>
+              {describePassVisibility(nextPassPrediction)}
+            </div>
+          )}
           {nextPassPrediction && !nextPassPrediction.thresholdHit && (
             <div className="panel-helper">
               Distancia mínima esperada ≈ {formatDistance(nextPassPrediction.distance)}
@@ -794,7 +1783,7 @@ function App() {
           <div className="panel-value">
             {orbitsRemaining == null ? '--' : orbitsRemaining < 1 ? orbitsRemaining.toFixed(2) : orbitsRemaining.toFixed(1)}
           </div>
-          <div className="panel-helper">Período orbital medio: {ORBIT_MINUTES} min</div>
+          <div className="panel-helper">Período orbital medio: {periodMinutes.toFixed(1)} min</div>
         </div>
         <div className="hud-section eta-pill">
           <div className="panel-label">ETA aprox.</div>
@@ -806,6 +1795,18 @@ function App() {
         </div>
       </div>
 
+      {targetPoint && (
+        <PassSchedule
+          passes={passSchedule}
+          horizonDays={scheduleDays}
+          onHorizonChange={setScheduleDays}
+          selectedTime={selectedPass?.culmination.time ?? null}
+          onSelect={handleSelectPass}
+          satelliteName={activeSatellite?.name || 'ISS'}
+          target={targetPoint}
+        />
+      )}
+
       <section className="iss-info">
         <div>
           <h2>Sobre la Estación Espacial Internacional</h2>
@@ -822,6 +1823,20 @@ function App() {
         </ul>
       </section>
 
+      {isOfflineMode && (
+        <div className="offline-banner">
+          Modo sin conexión: propagando con el TLE guardado
+          {tle.epochMs ? ` (época ${dayjs(tle.epochMs).format('DD MMM HH:mm')})` : ''}.
+        </div>
+      )}
+      {passAlert && (
+        <div className="pass-alert-banner" role="status">
+          <strong>{passAlert.title}</strong> {passAlert.body}
+          <button className="tertiary" onClick={() => setPassAlert(null)} aria-label="Cerrar aviso">
+            ✕
+          </button>
+        </div>
+      )}
       {error && <div className="error-banner">{error}</div>}
     </div>
   );
@@ -1,8 +1,22 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// WebGL, Web Workers and Leaflet's SVG renderer are not available in jsdom.
+jest.mock('./components/EarthGlobe', () => () => null);
+jest.mock('./components/TerminatorLayer', () => () => null);
+jest.mock('./workers/propagationClient', () => ({
+  createPropagationClient: () => ({
+    request: () => new Promise(() => {}),
+    terminate: () => {},
+  }),
+}));
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+});
+
+test('renders the tracking dashboard', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1, name: /Estación Espacial Internacional/i })).toBeInTheDocument();
+  expect(await screen.findByText(/Fuentes TLE inalcanzables/i)).toBeInTheDocument();
 });
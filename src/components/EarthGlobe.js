@@ -1,42 +1,150 @@
-import { Canvas, useFrame } from '@react-three/fiber';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { Line, OrbitControls, Stars } from '@react-three/drei';
-import { useMemo, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { gstime } from 'satellite.js';
+import { CanvasTexture, Quaternion, SRGBColorSpace, Vector3 } from 'three';
+import { landPolygons, paintDayTexture, paintNightTexture, TEXTURE_WIDTH } from '../lib/earthTexture';
+import { computeLookAngles, orbitalPeriodMinutes, sampleOrbit } from '../lib/orbit';
 
 const EARTH_RADIUS = 1;
+const EARTH_RADIUS_KM = 6378.137;
 const ISS_RADIUS = 1.15;
 const TARGET_RADIUS = 1.03;
+const SUN_LIGHT_DISTANCE = 5;
+const FOOTPRINT_RADIUS = 1.005;
+const GROUND_TRACK_RADIUS = 1.003;
+const ORBIT_SAMPLE_MS = 30 * 1000;
+const ORBIT_FOV = 60;
+const FREE_DEFAULT_DISTANCE = 3.2;
+const FREE_MIN_DISTANCE = 2;
+const CHASE_BACK = 0.12; // behind the station along its velocity
+const CHASE_UP = 0.035; // above it along the local vertical
+const CHASE_LOOK_AHEAD = 0.25;
+const OBSERVER_ALTITUDE_KM = 2; // eye height that keeps the camera above the tessellated sphere
+const OBSERVER_FOV = 90;
+const OBSERVER_LOW_LOOK_DEG = 20; // elevation looked at while the object is below the horizon
+const FLY_DURATION_MS = 2000;
+const FLY_DISTANCE = 2.4;
 
-// Projects a latitude/longitude tuple onto a sphere of the provided radius.
+const CAMERA_MODES = [
+  { id: 'free', label: 'Libre' },
+  { id: 'chase', label: 'Persecución' },
+  { id: 'observer', label: 'Observador' },
+];
+
+// Projects a latitude/longitude tuple onto a sphere of the provided radius (Earth-fixed frame: +y north, +x at
+// 0° longitude, -z at 90°E, which is how three.js lays an equirectangular texture on a sphere).
 function latLngToCartesian(lat, lng, radius = EARTH_RADIUS) {
   if (typeof lat !== 'number' || typeof lng !== 'number') return [0, 0, 0];
   const latRad = (lat * Math.PI) / 180;
   const lonRad = (lng * Math.PI) / 180;
   const x = radius * Math.cos(latRad) * Math.cos(lonRad);
   const y = radius * Math.sin(latRad);
-  const z = radius * Math.cos(latRad) * Math.sin(lonRad);
+  const z = -radius * Math.cos(latRad) * Math.sin(lonRad);
   return [x, y, z];
 }
 
-// Simple Earth model that slowly rotates to hint at the passage of time.
-function Earth() {
+// Scene position of a km vector (ECI or ECEF): the same axes as latLngToCartesian, one Earth radius per unit.
+function vectorToScene({ x, y, z }) {
+  return [x / EARTH_RADIUS_KM, z / EARTH_RADIUS_KM, -y / EARTH_RADIUS_KM];
+}
+
+// Scene radius for an object at the given altitude (true scale), or the nominal orbit radius if unknown.
+function altitudeToRadius(altitudeKm) {
+  return Number.isFinite(altitudeKm) ? EARTH_RADIUS * (1 + altitudeKm / EARTH_RADIUS_KM) : ISS_RADIUS;
+}
+
+const EARTH_VERTEX_SHADER = `
+  varying vec2 vUv;
+  varying vec3 vSurfaceNormal;
+  void main() {
+    vUv = uv;
+    vSurfaceNormal = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Day map lit by the sun direction (Earth-fixed), fading into the night-lights map past the terminator.
+const EARTH_FRAGMENT_SHADER = `
+  uniform sampler2D dayMap;
+  uniform sampler2D nightMap;
+  uniform vec3 sunDirection;
+  uniform float sunLit;
+  uniform float nightLights;
+  varying vec2 vUv;
+  varying vec3 vSurfaceNormal;
+  void main() {
+    float sunCos = dot(normalize(vSurfaceNormal), sunDirection);
+    float daylight = mix(1.0, smoothstep(-0.1, 0.1, sunCos), sunLit);
+    vec3 color = texture2D(dayMap, vUv).rgb * mix(0.12, 0.35 + 0.65 * max(sunCos, 0.0) * sunLit + 0.65 * (1.0 - sunLit), daylight);
+    color += texture2D(nightMap, vUv).rgb * (1.0 - daylight) * nightLights;
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Day and night canvas textures painted once per globe from the bundled land outline.
+function useEarthTextures() {
+  const textures = useMemo(() => {
+    const polygons = landPolygons();
+    const paint = (painter) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = TEXTURE_WIDTH;
+      canvas.height = TEXTURE_WIDTH / 2;
+      painter(canvas.getContext('2d'), canvas.width, canvas.height, polygons);
+      const texture = new CanvasTexture(canvas);
+      texture.colorSpace = SRGBColorSpace;
+      texture.anisotropy = 4;
+      return texture;
+    };
+    return { day: paint(paintDayTexture), night: paint(paintNightTexture) };
+  }, []);
+
+  useEffect(
+    () => () => {
+      textures.day.dispose();
+      textures.night.dispose();
+    },
+    [textures]
+  );
+  return textures;
+}
+
+// Textured Earth turned by the sidereal angle (GMST) of the clock instant (live when timeMs is null) in the inertial
+// frame, or held still in the Earth-fixed one. Children are Earth-fixed (lat/lng markers, the sun light) and turn with it.
+function Earth({ timeMs, frame, sunPoint, nightLights, children }) {
   const earthRef = useRef();
+  const textures = useEarthTextures();
+  const uniforms = useMemo(
+    () => ({
+      dayMap: { value: textures.day },
+      nightMap: { value: textures.night },
+      sunDirection: { value: new Vector3() },
+      sunLit: { value: 0 },
+      nightLights: { value: 1 },
+    }),
+    [textures]
+  );
 
-  useFrame((_, delta) => {
+  useEffect(() => {
+    if (sunPoint) uniforms.sunDirection.value.set(...latLngToCartesian(sunPoint.lat, sunPoint.lng, 1));
+    uniforms.sunLit.value = sunPoint ? 1 : 0;
+    uniforms.nightLights.value = nightLights ? 1 : 0;
+  }, [uniforms, sunPoint, nightLights]);
+
+  useFrame(() => {
     if (earthRef.current) {
-      earthRef.current.rotation.y += delta * 0.05;
+      earthRef.current.rotation.y = frame === 'eci' ? gstime(new Date(timeMs ?? Date.now())) : 0;
     }
   });
 
   return (
     <group ref={earthRef}>
       <mesh>
-        <sphereGeometry args={[EARTH_RADIUS, 64, 64]} />
-        <meshStandardMaterial color="#1e3a8a" roughness={0.8} metalness={0.05} />
-      </mesh>
-      <mesh>
-        <sphereGeometry args={[EARTH_RADIUS + 0.01, 64, 64]} />
-        <meshBasicMaterial color="#22d3ee" wireframe opacity={0.15} transparent />
+        <sphereGeometry args={[EARTH_RADIUS, 96, 64]} />
+        <shaderMaterial uniforms={uniforms} vertexShader={EARTH_VERTEX_SHADER} fragmentShader={EARTH_FRAGMENT_SHADER} />
       </mesh>
+      {children}
     </group>
   );
 }
@@ -52,42 +160,201 @@ function Marker({ lat, lng, radius, color, size = 0.04 }) {
   );
 }
 
-// Flat circular ring highlighting the nominal ISS orbital altitude.
-function OrbitRing() {
-  const positions = useMemo(() => {
-    const segments = 128;
-    const pts = [];
-    for (let i = 0; i <= segments; i += 1) {
-      const theta = (i / segments) * Math.PI * 2;
-      pts.push(Math.cos(theta) * ISS_RADIUS, 0, Math.sin(theta) * ISS_RADIUS);
+// Samples of the half orbits before and after the clock instant, both ending at the exact propagated position.
+// The SGP4 sampling is aligned to a 30 s grid, so it only reruns when the clock crosses a grid step.
+function useOrbitArcs(satrec, timeMs) {
+  const halfMs = (orbitalPeriodMinutes(satrec) * 60 * 1000) / 2;
+  const gridMs = Math.floor(timeMs / ORBIT_SAMPLE_MS) * ORBIT_SAMPLE_MS;
+  const samples = useMemo(
+    () =>
+      sampleOrbit(satrec, {
+        startMs: gridMs - halfMs - ORBIT_SAMPLE_MS,
+        endMs: gridMs + halfMs + ORBIT_SAMPLE_MS,
+        stepMs: ORBIT_SAMPLE_MS,
+      }),
+    [satrec, gridMs, halfMs]
+  );
+
+  return useMemo(() => {
+    const current = sampleOrbit(satrec, { startMs: timeMs, endMs: timeMs, stepMs: 1 })[0];
+    if (!current) return null;
+    return {
+      past: [...samples.filter((sample) => sample.time >= timeMs - halfMs && sample.time < timeMs), current],
+      future: [current, ...samples.filter((sample) => sample.time > timeMs && sample.time <= timeMs + halfMs)],
+    };
+  }, [satrec, samples, timeMs, halfMs]);
+}
+
+// True orbit in the chosen frame: dashed past arc and solid upcoming arc.
+function OrbitArcs({ arcs, frame, color }) {
+  const past = useMemo(() => arcs.past.map((sample) => vectorToScene(sample[frame])), [arcs, frame]);
+  const future = useMemo(() => arcs.future.map((sample) => vectorToScene(sample[frame])), [arcs, frame]);
+  return (
+    <>
+      {past.length > 1 && (
+        <Line points={past} color={color} lineWidth={1.5} dashed dashSize={0.04} gapSize={0.025} transparent opacity={0.45} />
+      )}
+      {future.length > 1 && <Line points={future} color={color} lineWidth={2} transparent opacity={0.9} />}
+    </>
+  );
+}
+
+// Sub-satellite points of the same arcs draped on the surface (Earth-fixed, drawn inside the Earth group).
+function GroundTrack({ arcs, color }) {
+  const points = useMemo(
+    () => [...arcs.past, ...arcs.future.slice(1)].map((sample) => latLngToCartesian(sample.lat, sample.lng, GROUND_TRACK_RADIUS)),
+    [arcs]
+  );
+  return <Line points={points} color={color} lineWidth={1} transparent opacity={0.55} />;
+}
+
+// Scene position of a timed lat/lng sample in the chosen frame; inertial longitudes add the sidereal angle of the
+// sample's own instant.
+function framePoint(point, frame) {
+  const time = point.time ?? point.timestamp;
+  const lng = frame === 'eci' ? point.lng + (gstime(new Date(time)) * 180) / Math.PI : point.lng;
+  return latLngToCartesian(point.lat, lng, altitudeToRadius(point.altitudeKm));
+}
+
+// Simulated track at its true altitude. While the clock is inside it, the flown part is dimmed and both parts meet
+// at the propagated position, so the marker always sits on the line.
+function Trajectory({ path, position, frame }) {
+  const { flown, ahead } = useMemo(() => {
+    const toPoint = (point) => framePoint(point, frame);
+    const time = position?.timestamp;
+    if (!path?.length || time == null || time < path[0].time || time > path[path.length - 1].time) {
+      return { flown: null, ahead: path?.length > 1 ? path.map(toPoint) : null };
     }
-    return new Float32Array(pts);
-  }, []);
+    const current = toPoint(position);
+    const before = [...path.filter((point) => point.time < time).map(toPoint), current];
+    const after = [current, ...path.filter((point) => point.time > time).map(toPoint)];
+    return { flown: before.length > 1 ? before : null, ahead: after.length > 1 ? after : null };
+  }, [path, position, frame]);
 
   return (
-    <lineLoop>
-      <bufferGeometry>
-        <bufferAttribute attach="attributes-position" count={positions.length / 3} array={positions} itemSize={3} />
-      </bufferGeometry>
-      <lineBasicMaterial color="#fbbf24" linewidth={2} transparent opacity={0.2} />
-    </lineLoop>
+    <>
+      {flown && <Line points={flown} color="#a855f7" lineWidth={1.5} transparent opacity={0.35} />}
+      {ahead && <Line points={ahead} color="#a855f7" lineWidth={2} transparent opacity={0.85} />}
+    </>
   );
 }
 
-// Converts a set of lat/lng pairs into a 3D polyline representing the simulated track.
-function Trajectory({ path }) {
-  const points = useMemo(() => {
-    if (!path?.length) return null;
-    const lastIndex = Math.max(path.length - 1, 1);
-    return path.map((point, index) => {
-      const radius = ISS_RADIUS - ((ISS_RADIUS - TARGET_RADIUS) * index) / lastIndex;
-      return latLngToCartesian(point.lat, point.lng, radius);
-    });
-  }, [path]);
+// Outline of the coverage footprint drawn just above the surface.
+function Footprint({ ring, color }) {
+  const points = useMemo(() => ring.map(([lat, lng]) => latLngToCartesian(lat, lng, FOOTPRINT_RADIUS)), [ring]);
+  return <Line points={points} color={color} lineWidth={1.5} transparent opacity={0.8} />;
+}
+
+// Keeps the orbit camera in sync with a shared view: applies the given position and reports where the user leaves it.
+function CameraSync({ position, onChange }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+
+  useEffect(() => {
+    if (!position) return;
+    const [x, y, z] = position;
+    if (camera.position.distanceTo({ x, y, z }) < 0.01) return;
+    camera.position.set(x, y, z);
+    controls?.update();
+  }, [camera, controls, position]);
+
+  useEffect(() => {
+    if (!controls || !onChange) return undefined;
+    const handleEnd = () => onChange(camera.position.toArray().map((value) => Number(value.toFixed(2))));
+    controls.addEventListener('end', handleEnd);
+    return () => controls.removeEventListener('end', handleEnd);
+  }, [camera, controls, onChange]);
+
+  return null;
+}
+
+// Position and direction of motion (scene units) of the object at an instant, in the chosen frame.
+function propagatedScenePoint(satrec, timeMs, frame) {
+  const [now, ahead] = sampleOrbit(satrec, { startMs: timeMs, endMs: timeMs + 1000, stepMs: 1000 });
+  if (!now || !ahead) return null;
+  const position = new Vector3(...vectorToScene(now[frame]));
+  const forward = new Vector3(...vectorToScene(ahead[frame])).sub(position).normalize();
+  return { position, forward };
+}
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
 
-  if (!points) return null;
+// Drives the camera outside the free mode, every frame at the clock instant: chase behind the object along its
+// velocity, observer standing on the target looking at it (or at its azimuth while it is below the horizon), and
+// the animated flight that ends above the target in free mode.
+function CameraRig({ mode, flying, onFlightEnd, satrec, targetPoint, timeMs, frame }) {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const flightRef = useRef(null);
 
-  return <Line points={points} color="#a855f7" lineWidth={2} transparent opacity={0.85} />;
+  useEffect(() => {
+    camera.near = mode === 'free' ? 0.1 : 0.0005;
+    camera.fov = mode === 'observer' ? OBSERVER_FOV : ORBIT_FOV;
+    camera.updateProjectionMatrix();
+    if (mode !== 'free') return;
+    camera.up.set(0, 1, 0);
+    if (camera.position.length() < FREE_MIN_DISTANCE) camera.position.setLength(FREE_DEFAULT_DISTANCE);
+    camera.lookAt(0, 0, 0);
+    controls?.update();
+  }, [camera, controls, mode]);
+
+  useEffect(() => {
+    flightRef.current = flying ? { from: camera.position.clone(), startedAt: performance.now() } : null;
+  }, [camera, flying]);
+
+  useFrame(() => {
+    const t = timeMs ?? Date.now();
+    const flight = flightRef.current;
+
+    if (flight && !targetPoint) {
+      flightRef.current = null;
+      onFlightEnd();
+      return;
+    }
+    if (flight) {
+      const progress = Math.min(1, (performance.now() - flight.startedAt) / FLY_DURATION_MS);
+      const eased = easeInOut(progress);
+      const goal = new Vector3(...framePoint({ ...targetPoint, altitudeKm: 0, time: t }, frame)).normalize();
+      const turn = new Quaternion().slerp(new Quaternion().setFromUnitVectors(flight.from.clone().normalize(), goal), eased);
+      const distance = flight.from.length() + (FLY_DISTANCE - flight.from.length()) * eased;
+      camera.position.copy(flight.from).applyQuaternion(turn).setLength(distance);
+      camera.up.set(0, 1, 0);
+      camera.lookAt(0, 0, 0);
+      if (progress === 1) {
+        flightRef.current = null;
+        controls?.update();
+        onFlightEnd();
+      }
+      return;
+    }
+
+    if (mode === 'chase') {
+      const state = propagatedScenePoint(satrec, t, frame);
+      if (!state) return;
+      const up = state.position.clone().normalize();
+      camera.position.copy(state.position).addScaledVector(state.forward, -CHASE_BACK).addScaledVector(up, CHASE_UP);
+      camera.up.copy(up);
+      camera.lookAt(state.position.clone().addScaledVector(state.forward, CHASE_LOOK_AHEAD));
+    } else if (mode === 'observer' && targetPoint) {
+      const observer = new Vector3(...framePoint({ ...targetPoint, altitudeKm: OBSERVER_ALTITUDE_KM, time: t }, frame));
+      const up = observer.clone().normalize();
+      let look = up.clone();
+      const state = propagatedScenePoint(satrec, t, frame);
+      if (state) {
+        look = state.position.clone().sub(observer).normalize();
+        const sine = look.dot(up);
+        if (sine < 0) {
+          const lowRad = (OBSERVER_LOW_LOOK_DEG * Math.PI) / 180;
+          look.addScaledVector(up, -sine).normalize().multiplyScalar(Math.cos(lowRad)).addScaledVector(up, Math.sin(lowRad));
+        }
+      }
+      camera.position.copy(observer);
+      camera.up.copy(up);
+      camera.lookAt(observer.clone().add(look));
+    }
+  });
+
+  return null;
 }
 
 // Formats coordinates with sign indicators for quick inspection.
@@ -96,8 +363,57 @@ function formatCoord(value) {
   return `${value >= 0 ? '+' : ''}${value.toFixed(1)}°`;
 }
 
-export default function EarthGlobe({ issPosition, targetPoint, simulationPath, simulatedPosition, isSimPlaying }) {
+export default function EarthGlobe({
+  issPosition,
+  targetPoint,
+  targets = [],
+  simulationPath,
+  simulatedPosition,
+  isSimPlaying,
+  activeColor = '#f97316',
+  satellites = [],
+  sunPoint = null,
+  footprint = null,
+  cameraPosition = null,
+  onCameraChange,
+  timeMs = null,
+  satrec = null,
+}) {
   const activePosition = simulatedPosition || issPosition;
+  // Only read when the canvas is created; later shared views are applied by CameraSync.
+  const [cameraOptions] = useState(() => ({ position: cameraPosition || [0, 0, FREE_DEFAULT_DISTANCE], fov: ORBIT_FOV }));
+  const [showNightLights, setShowNightLights] = useState(true);
+  const [frame, setFrame] = useState('eci');
+  const [cameraMode, setCameraMode] = useState('free');
+  const [flying, setFlying] = useState(false);
+  // Chase needs the elements and the observer view a target; without them the camera falls back to free.
+  const activeCameraMode =
+    (cameraMode === 'chase' && !satrec) || (cameraMode === 'observer' && (!satrec || !targetPoint)) ? 'free' : cameraMode;
+  const [liveMs, setLiveMs] = useState(() => Date.now());
+  const orbitArcs = useOrbitArcs(satrec, timeMs ?? liveMs);
+  const lookAngles = activeCameraMode === 'observer' ? computeLookAngles(satrec, targetPoint, timeMs ?? liveMs) : null;
+
+  const handleCameraMode = (mode) => {
+    setFlying(false);
+    setCameraMode(mode);
+  };
+
+  const handleFlyToTarget = () => {
+    setCameraMode('free');
+    setFlying(true);
+  };
+
+  // The live orbit split point follows the wall clock second by second.
+  useEffect(() => {
+    if (timeMs != null) return undefined;
+    const interval = setInterval(() => setLiveMs(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timeMs]);
+  // Directional light placed over the subsolar point so the night hemisphere falls in shadow.
+  const sunPosition = useMemo(
+    () => (sunPoint ? latLngToCartesian(sunPoint.lat, sunPoint.lng, SUN_LIGHT_DISTANCE) : [4, 2, 2]),
+    [sunPoint]
+  );
   const showLiveMarker =
     issPosition &&
     simulatedPosition &&
@@ -106,21 +422,54 @@ export default function EarthGlobe({ issPosition, targetPoint, simulationPath, s
 
   return (
     <div className="globe-panel">
-      <Canvas camera={{ position: [0, 0, 3.2], fov: 60 }}>
-        <ambientLight intensity={0.5} />
-        <directionalLight position={[4, 2, 2]} intensity={1.2} />
+      <Canvas camera={cameraOptions}>
+        <ambientLight intensity={sunPoint ? 0.18 : 0.5} />
         <Stars radius={40} depth={20} count={800} factor={4} fade speed={1} />
-        <Earth />
-        <OrbitRing />
-        {simulationPath && <Trajectory path={simulationPath} />}
-        {targetPoint && (
-          <Marker lat={targetPoint.lat} lng={targetPoint.lng} radius={TARGET_RADIUS} color="#22d3ee" size={0.035} />
-        )}
-        {activePosition && <Marker lat={activePosition.lat} lng={activePosition.lng} radius={ISS_RADIUS} color="#f97316" size={0.05} />}
-        {showLiveMarker && (
-          <Marker lat={issPosition.lat} lng={issPosition.lng} radius={ISS_RADIUS - 0.02} color="#38bdf8" size={0.03} />
-        )}
-        <OrbitControls enablePan={false} minDistance={2} maxDistance={6} />
+        {orbitArcs && <OrbitArcs arcs={orbitArcs} frame={frame} color={activeColor} />}
+        {simulationPath && <Trajectory path={simulationPath} position={simulatedPosition} frame={frame} />}
+        <Earth timeMs={timeMs} frame={frame} sunPoint={sunPoint} nightLights={showNightLights}>
+          <directionalLight position={sunPosition} intensity={1.6} />
+          {orbitArcs && <GroundTrack arcs={orbitArcs} color={activeColor} />}
+          {footprint?.length > 1 && <Footprint ring={footprint} color={activeColor} />}
+          {targetPoint && (
+            <Marker lat={targetPoint.lat} lng={targetPoint.lng} radius={TARGET_RADIUS} color="#22d3ee" size={0.035} />
+          )}
+          {targets.map((target) => (
+            <Marker key={target.id} lat={target.lat} lng={target.lng} radius={TARGET_RADIUS} color="#94a3b8" size={0.025} />
+          ))}
+          {satellites.map((sat) => (
+            <Marker key={sat.id} lat={sat.lat} lng={sat.lng} radius={altitudeToRadius(sat.altitudeKm)} color={sat.color} size={0.03} />
+          ))}
+          {activePosition && (
+            <Marker
+              lat={activePosition.lat}
+              lng={activePosition.lng}
+              radius={altitudeToRadius(activePosition.altitudeKm)}
+              color={activeColor}
+              size={0.05}
+            />
+          )}
+          {showLiveMarker && (
+            <Marker lat={issPosition.lat} lng={issPosition.lng} radius={altitudeToRadius(issPosition.altitudeKm)} color="#38bdf8" size={0.03} />
+          )}
+        </Earth>
+        <OrbitControls
+          makeDefault
+          enabled={activeCameraMode === 'free' && !flying}
+          enablePan={false}
+          minDistance={FREE_MIN_DISTANCE}
+          maxDistance={6}
+        />
+        <CameraSync position={activeCameraMode === 'free' ? cameraPosition : null} onChange={onCameraChange} />
+        <CameraRig
+          mode={activeCameraMode}
+          flying={flying}
+          onFlightEnd={() => setFlying(false)}
+          satrec={satrec}
+          targetPoint={targetPoint}
+          timeMs={timeMs}
+          frame={frame}
+        />
       </Canvas>
       <div className="globe-panel__label">
         Vista 3D
@@ -128,8 +477,46 @@ export default function EarthGlobe({ issPosition, targetPoint, simulationPath, s
           {activePosition ? `${formatCoord(activePosition.lat)}, ${formatCoord(activePosition.lng)}` : 'Localizando ISS...'}
         </span>
         {simulationPath && <span className="globe-panel__badge">{isSimPlaying ? 'Simulando' : 'Sim listo'}</span>}
+        <select className="globe-panel__frame" value={frame} onChange={(event) => setFrame(event.target.value)} aria-label="Marco de referencia">
+          <option value="eci">Inercial (ECI)</option>
+          <option value="ecef">Terrestre (ECEF)</option>
+        </select>
+        {sunPoint && (
+          <label className="globe-panel__toggle">
+            <input type="checkbox" checked={showNightLights} onChange={(event) => setShowNightLights(event.target.checked)} />{' '}
+            Luces nocturnas
+          </label>
+        )}
+      </div>
+      <div className="globe-panel__camera">
+        <span className="panel-label">Cámara</span>
+        {CAMERA_MODES.map((option) => (
+          <button
+            key={option.id}
+            className={option.id === activeCameraMode ? 'secondary is-active' : 'tertiary'}
+            onClick={() => handleCameraMode(option.id)}
+            disabled={(option.id === 'chase' && !satrec) || (option.id === 'observer' && (!satrec || !targetPoint))}
+          >
+            {option.label}
+          </button>
+        ))}
+        <button className="tertiary" onClick={handleFlyToTarget} disabled={!targetPoint || flying}>
+          Volar al objetivo
+        </button>
+        {lookAngles && (
+          <span className="panel-helper">
+            Az {lookAngles.azimuth.toFixed(0)}° · El {lookAngles.elevation.toFixed(0)}°
+            {lookAngles.elevation < 0 ? ' (bajo el horizonte)' : ''}
+          </span>
+        )}
       </div>
       <div className="globe-panel__legend">
+        {orbitArcs && (
+          <>
+            <span className="legend-dot legend-dot--orbit" style={{ background: activeColor }} />
+            Órbita {frame === 'eci' ? 'inercial' : 'terrestre'} (pasada discontinua) y traza en superficie
+          </>
+        )}
         {simulationPath && (
           <>
             <span className="legend-dot legend-dot--sim" />
@@ -142,14 +529,26 @@ export default function EarthGlobe({ issPosition, targetPoint, simulationPath, s
             Posición en vivo
           </>
         )}
-        <span className="legend-dot legend-dot--iss" />
+        <span className="legend-dot legend-dot--iss" style={{ background: activeColor }} />
         ISS simulada
+        {satellites.length > 0 && (
+          <>
+            <span className="legend-dot legend-dot--others" />
+            Otros objetos ({satellites.length})
+          </>
+        )}
         {targetPoint && (
           <>
             <span className="legend-dot legend-dot--target" />
             Objetivo
           </>
         )}
+        {targets.length > 0 && (
+          <>
+            <span className="legend-dot legend-dot--saved-target" />
+            Guardados ({targets.length})
+          </>
+        )}
       </div>
     </div>
   );
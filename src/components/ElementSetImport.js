@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import dayjs from 'dayjs';
+import { parseElementSets } from '../lib/elementSetImport';
+
+const FORMAT_LABELS = { tle: 'TLE', json: 'OMM JSON', xml: 'OMM XML', kvn: 'OMM KVN' };
+
+// Paste or upload TLE/OMM data; valid element sets replace the downloaded ones for the same object.
+export default function ElementSetImport({ imported, onImport, onRemove }) {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleImport = (content) => {
+    const parsed = parseElementSets(content);
+    setResult(parsed);
+    if (parsed.entries.length) {
+      onImport(parsed.entries);
+      setText('');
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const content = await file.text();
+    setText(content);
+    handleImport(content);
+  };
+
+  return (
+    <details className="hud-card map-panel element-import">
+      <summary className="panel-label">Importar TLE / OMM</summary>
+      <textarea
+        className="element-import__text"
+        rows={5}
+        spellCheck={false}
+        placeholder="Pega un TLE de 2 o 3 líneas, o un OMM en XML, KVN o JSON"
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+      />
+      <div className="element-import__actions">
+        <button className="tertiary" disabled={!text.trim()} onClick={() => handleImport(text)}>
+          Importar
+        </button>
+        <label className="tertiary element-import__file">
+          Subir archivo
+          <input type="file" accept=".txt,.tle,.xml,.kvn,.json" onChange={handleFile} />
+        </label>
+      </div>
+      {result && (
+        <div className="panel-helper">
+          {result.format ? `${FORMAT_LABELS[result.format]}: ` : ''}
+          {result.entries.length} {result.entries.length === 1 ? 'elemento importado' : 'elementos importados'}
+          {result.issues.map((issue) => (
+            <div key={issue} className="element-import__issue">
+              {issue}
+            </div>
+          ))}
+        </div>
+      )}
+      {imported.length > 0 && (
+        <ul className="element-import__list">
+          {imported.map((entry) => (
+            <li key={entry.noradId}>
+              <span>
+                {entry.name} <span className="sat-catalog__id">{entry.noradId}</span>
+              </span>
+              <span className="panel-helper">Época {dayjs(entry.epochMs).format('DD MMM YYYY HH:mm')}</span>
+              <button className="tertiary" onClick={() => onRemove(entry.noradId)}>
+                Quitar
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
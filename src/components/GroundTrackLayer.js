@@ -0,0 +1,89 @@
+import { useMemo, useState } from 'react';
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { splitAtAntimeridian } from '../lib/orbit';
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+
+// "HH:mm UTC · 420 km" label shared by time ticks and the hover readout.
+function formatSample(sample) {
+  const time = new Date(sample.timestamp).toISOString().slice(11, 16);
+  const altitude = Number.isFinite(sample.altitudeKm) ? ` • ${sample.altitudeKm.toFixed(0)} km` : '';
+  return `${time} UTC${altitude}`;
+}
+
+// Past (solid) and future (dashed) ground track of the active object with time ticks and hover readout.
+export default function GroundTrackLayer({ samples, splitTimeMs, color }) {
+  const [hovered, setHovered] = useState(null);
+
+  const { past, future, ticks } = useMemo(() => {
+    const toCoords = (items) => items.map((sample) => [sample.lat, sample.lng]);
+    const pastSamples = samples.filter((sample) => sample.timestamp <= splitTimeMs);
+    const futureSamples = samples.filter((sample) => sample.timestamp >= splitTimeMs);
+    return {
+      past: splitAtAntimeridian(toCoords(pastSamples)),
+      future: splitAtAntimeridian(toCoords(futureSamples)),
+      ticks: samples.filter((sample) => sample.timestamp % TICK_INTERVAL_MS === 0),
+    };
+  }, [samples, splitTimeMs]);
+
+  // Picks the sample closest to the cursor (longitude difference wrapped across the antimeridian).
+  const handleMouseMove = (event) => {
+    const { lat, lng } = event.latlng;
+    let best = null;
+    let bestScore = Infinity;
+    samples.forEach((sample) => {
+      const dLng = Math.abs(((sample.lng - lng + 540) % 360) - 180);
+      const score = (sample.lat - lat) ** 2 + dLng ** 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = sample;
+      }
+    });
+    setHovered(best);
+  };
+
+  const eventHandlers = { mousemove: handleMouseMove, mouseout: () => setHovered(null) };
+
+  return (
+    <>
+      {past.map((segment, index) => (
+        <Polyline
+          key={`track-past-${index}`}
+          positions={segment}
+          pathOptions={{ color, weight: 3, opacity: 0.35 }}
+          eventHandlers={eventHandlers}
+        />
+      ))}
+      {future.map((segment, index) => (
+        <Polyline
+          key={`track-future-${index}`}
+          positions={segment}
+          pathOptions={{ color, weight: 3, opacity: 0.7, dashArray: '6 6' }}
+          eventHandlers={eventHandlers}
+        />
+      ))}
+      {ticks.map((sample) => (
+        <CircleMarker
+          key={`tick-${sample.timestamp}`}
+          center={[sample.lat, sample.lng]}
+          radius={2.5}
+          pathOptions={{ color, fillColor: color, fillOpacity: 1, weight: 1 }}
+        >
+          <Tooltip direction="top">{formatSample(sample)}</Tooltip>
+        </CircleMarker>
+      ))}
+      {hovered && (
+        <CircleMarker
+          center={[hovered.lat, hovered.lng]}
+          radius={5}
+          interactive={false}
+          pathOptions={{ color: '#f8fafc', fillColor: color, fillOpacity: 1, weight: 2 }}
+        >
+          <Tooltip permanent direction="top" offset={[0, -6]}>
+            {formatSample(hovered)}
+          </Tooltip>
+        </CircleMarker>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import dayjs from 'dayjs';
+import { ALERT_LEAD_OPTIONS, notificationPermission, playAlertTone, requestNotificationPermission } from '../lib/passAlerts';
+
+const PERMISSION_LABELS = {
+  granted: 'Notificaciones permitidas',
+  denied: 'Notificaciones bloqueadas en el navegador',
+  default: 'Notificaciones pendientes de permiso',
+  unsupported: 'Este navegador no admite notificaciones',
+};
+
+// Alert settings (lead times, culmination, sound, browser notifications) and the next scheduled reminder.
+export default function PassAlerts({ settings, onChange, upcoming }) {
+  const [permission, setPermission] = useState(() => notificationPermission());
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const toggleLead = (minutes) => {
+    const leadMinutes = settings.leadMinutes.includes(minutes)
+      ? settings.leadMinutes.filter((value) => value !== minutes)
+      : [...settings.leadMinutes, minutes].sort((a, b) => b - a);
+    update({ leadMinutes });
+  };
+
+  // Permission can only be requested from a user gesture, so it happens when the option is switched on.
+  const handleNotificationsChange = async (checked) => {
+    if (checked && permission === 'default') {
+      const result = await requestNotificationPermission();
+      setPermission(result);
+      update({ notifications: result === 'granted' });
+      return;
+    }
+    update({ notifications: checked });
+  };
+
+  return (
+    <div className="hud-card map-panel pass-alerts">
+      <label className="panel-label">
+        <input type="checkbox" checked={settings.enabled} onChange={(event) => update({ enabled: event.target.checked })} />{' '}
+        Avisos de pase
+      </label>
+      <div className="pass-alerts__leads">
+        {ALERT_LEAD_OPTIONS.map((minutes) => (
+          <label key={minutes} className="panel-helper">
+            <input
+              type="checkbox"
+              checked={settings.leadMinutes.includes(minutes)}
+              disabled={!settings.enabled}
+              onChange={() => toggleLead(minutes)}
+            />{' '}
+            {minutes} min antes
+          </label>
+        ))}
+        <label className="panel-helper">
+          <input
+            type="checkbox"
+            checked={settings.atCulmination}
+            disabled={!settings.enabled}
+            onChange={(event) => update({ atCulmination: event.target.checked })}
+          />{' '}
+          Máximo acercamiento
+        </label>
+      </div>
+      <div className="pass-alerts__channels">
+        <label className="panel-helper">
+          <input
+            type="checkbox"
+            checked={settings.sound}
+            disabled={!settings.enabled}
+            onChange={(event) => update({ sound: event.target.checked })}
+          />{' '}
+          Sonido
+        </label>
+        <button className="tertiary" type="button" onClick={playAlertTone} disabled={!settings.enabled || !settings.sound}>
+          Probar
+        </button>
+        <label className="panel-helper">
+          <input
+            type="checkbox"
+            checked={settings.notifications && permission === 'granted'}
+            disabled={!settings.enabled || permission === 'denied' || permission === 'unsupported'}
+            onChange={(event) => handleNotificationsChange(event.target.checked)}
+          />{' '}
+          Notificaciones
+        </label>
+      </div>
+      <div className="panel-helper">{PERMISSION_LABELS[permission]}</div>
+      <div className="panel-helper">
+        {upcoming
+          ? `Próximo aviso: ${dayjs(upcoming.time).format('DD MMM HH:mm')} • ${upcoming.body}`
+          : 'Sin avisos programados (elige un objetivo con pase previsto).'}
+      </div>
+    </div>
+  );
+}
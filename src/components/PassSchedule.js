@@ -0,0 +1,125 @@
+import { useMemo, useState } from 'react';
+import dayjs from 'dayjs';
+import { buildPassCalendar } from '../lib/icalendar';
+
+const COLUMNS = [
+  { key: 'start', label: 'Inicio', value: (pass) => pass.rise.time },
+  { key: 'peak', label: 'Culminación', value: (pass) => pass.culmination.time },
+  { key: 'end', label: 'Fin', value: (pass) => pass.set.time },
+  { key: 'duration', label: 'Duración', value: (pass) => pass.set.time - pass.rise.time },
+  { key: 'elevation', label: 'Elev. máx.', value: (pass) => pass.maxElevation },
+  { key: 'distance', label: 'Dist. mínima', value: (pass) => pass.distance },
+  { key: 'visibility', label: 'Visible', value: (pass) => (pass.visible ? pass.magnitude ?? 0 : 99) },
+];
+
+// Formats a pass duration as mm:ss.
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// Reason shown when a pass cannot be seen with the naked eye.
+function hiddenReason(pass) {
+  if (pass.observerLighting === 'day') return 'De día';
+  return pass.illumination === 'penumbra' ? 'Penumbra' : 'En sombra';
+}
+
+// Saves the upcoming passes as an .ics file through a temporary object URL.
+function downloadCalendar(passes, satelliteName, target) {
+  const now = Date.now();
+  const upcoming = passes.filter((pass) => pass.set.time > now).sort((a, b) => a.rise.time - b.rise.time);
+  const ics = buildPassCalendar(upcoming, { satelliteName, target, nowMs: now });
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pases-${satelliteName}-${target?.label || 'objetivo'}.ics`.replace(/[^\w.-]+/g, '-').toLowerCase();
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Sortable table with every pass over the target inside the selected horizon.
+export default function PassSchedule({ passes, horizonDays, onHorizonChange, selectedTime, onSelect, satelliteName, target }) {
+  const [sort, setSort] = useState({ key: 'start', direction: 1 });
+
+  const sortedPasses = useMemo(() => {
+    const column = COLUMNS.find((item) => item.key === sort.key) || COLUMNS[0];
+    return [...passes].sort((a, b) => (column.value(a) - column.value(b)) * sort.direction);
+  }, [passes, sort]);
+
+  const handleSort = (key) => {
+    setSort((prev) => (prev.key === key ? { key, direction: -prev.direction } : { key, direction: 1 }));
+  };
+
+  return (
+    <div className="hud-card map-panel pass-schedule">
+      <div className="pass-schedule__header">
+        <div className="panel-label">Calendario de pases</div>
+        <label className="panel-helper" htmlFor="schedule-horizon">
+          Próximos {horizonDays} {horizonDays === 1 ? 'día' : 'días'}
+        </label>
+        <button
+          className="tertiary"
+          type="button"
+          disabled={!passes.length}
+          onClick={() => downloadCalendar(passes, satelliteName, target)}
+          title="Descargar los pases como calendario iCalendar"
+        >
+          Exportar .ics
+        </button>
+      </div>
+      <input
+        id="schedule-horizon"
+        type="range"
+        min="1"
+        max="10"
+        step="1"
+        value={horizonDays}
+        onChange={(event) => onHorizonChange(Number(event.target.value))}
+      />
+      {passes.length ? (
+        <div className="pass-schedule__scroll">
+          <table className="pass-schedule__table">
+            <thead>
+              <tr>
+                {COLUMNS.map((column) => (
+                  <th key={column.key} aria-sort={sort.key === column.key ? (sort.direction > 0 ? 'ascending' : 'descending') : 'none'}>
+                    <button type="button" onClick={() => handleSort(column.key)}>
+                      {column.label}
+                      {sort.key === column.key ? (sort.direction > 0 ? ' ▲' : ' ▼') : ''}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedPasses.map((pass) => (
+                <tr
+                  key={pass.rise.time}
+                  className={pass.culmination.time === selectedTime ? 'is-selected' : undefined}
+                  onClick={() => onSelect(pass)}
+                  title="Cargar este pase en la simulación"
+                >
+                  <td>{dayjs(pass.rise.time).format('DD MMM HH:mm:ss')}</td>
+                  <td>{dayjs(pass.culmination.time).format('HH:mm:ss')}</td>
+                  <td>{dayjs(pass.set.time).format('HH:mm:ss')}</td>
+                  <td>{formatDuration(pass.set.time - pass.rise.time)}</td>
+                  <td>{pass.maxElevation.toFixed(0)}°</td>
+                  <td>{pass.distance.toFixed(0)} km</td>
+                  <td className={pass.visible ? 'is-visible' : undefined}>
+                    {pass.visible
+                      ? `Sí${pass.magnitude != null ? ` (${pass.magnitude.toFixed(1)})` : ''}`
+                      : hiddenReason(pass)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="panel-helper">Sin pases sobre la máscara de elevación en este intervalo.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createGeocoder, GEOCODER_TYPES, searchPlaces } from '../lib/geocoding';
+
+// Search box that turns a place name, address or coordinate string into a new target.
+export default function PlaceSearch({ online, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [geocoderType, setGeocoderType] = useState(() => process.env.REACT_APP_GEOCODER || 'nominatim');
+  const [results, setResults] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const controllerRef = useRef(null);
+  const geocoder = useMemo(() => createGeocoder(geocoderType), [geocoderType]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const text = query.trim();
+    if (!text) return;
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsSearching(true);
+    try {
+      const { results: places, fallback } = await searchPlaces(text, { geocoder, signal: controller.signal, online });
+      // A single coordinate match needs no confirmation.
+      if (places.length === 1 && places[0].source === 'coordinates') {
+        onSelect(places[0]);
+        setResults(null);
+        setQuery('');
+      } else {
+        setResults(places);
+      }
+      setStatus(fallback);
+    } catch (err) {
+      if (err.name !== 'AbortError') setStatus(`No pudimos buscar el lugar (${err.message})`);
+    } finally {
+      if (controllerRef.current === controller) setIsSearching(false);
+    }
+  };
+
+  const handlePick = (place) => {
+    onSelect(place);
+    setResults(null);
+    setQuery('');
+    setStatus(null);
+  };
+
+  return (
+    <div className="hud-card map-panel place-search">
+      <div className="panel-label">Buscar lugar</div>
+      <form className="place-search__form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          placeholder="Ciudad, dirección, 40.42, -3.70 o IN80do"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <button className="tertiary" type="submit" disabled={isSearching || !query.trim()}>
+          {isSearching ? 'Buscando...' : 'Buscar'}
+        </button>
+      </form>
+      <select value={geocoderType} onChange={(event) => setGeocoderType(event.target.value)} aria-label="Servicio de búsqueda">
+        {GEOCODER_TYPES.map((type) => (
+          <option key={type.id} value={type.id}>
+            {type.label}
+          </option>
+        ))}
+      </select>
+      {status && <div className="panel-helper">{status}</div>}
+      {results &&
+        (results.length ? (
+          <ul className="place-search__results">
+            {results.map((place) => (
+              <li key={`${place.name}-${place.lat}-${place.lng}`}>
+                <button type="button" onClick={() => handlePick(place)}>
+                  <span>{place.name}</span>
+                  <span className="panel-helper">
+                    {place.lat.toFixed(3)}°, {place.lng.toFixed(3)}°
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="panel-helper">Sin resultados.</div>
+        ))}
+      <div className="panel-helper">Admite decimales, grados/minutos/segundos (40°25'N 3°42'O) y locators Maidenhead.</div>
+    </div>
+  );
+}
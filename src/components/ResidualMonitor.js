@@ -0,0 +1,110 @@
+import dayjs from 'dayjs';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const SERIES = [
+  { key: 'totalKm', label: 'Error total', color: '#facc15' },
+  { key: 'alongTrackKm', label: 'Along-track', color: '#38bdf8' },
+  { key: 'crossTrackKm', label: 'Cross-track', color: '#f472b6' },
+  { key: 'altitudeKm', label: 'Altitud', color: '#4ade80' },
+];
+
+// Telemetry minus SGP4 residuals over time; the alert threshold is drawn as a dashed line against the total error.
+export default function ResidualMonitor({
+  residuals,
+  thresholdKm,
+  onThresholdChange,
+  monitoring,
+  onMonitoringChange,
+  available,
+  sourceLabel,
+}) {
+  const latest = residuals[residuals.length - 1] || null;
+  // The threshold applies to the combined error vector, not to each component.
+  const exceeded = latest && latest.totalKm > thresholdKm;
+  // Sources without altitude (Open Notify) only yield the horizontal components.
+  const plotted = SERIES.filter((series) => residuals.some((residual) => residual[series.key] != null));
+
+  const startMs = residuals[0]?.timestamp ?? 0;
+  const spanMs = Math.max((latest?.timestamp ?? 0) - startMs, 1);
+  const extentKm = Math.max(
+    thresholdKm * 1.2,
+    ...residuals.flatMap((residual) => plotted.map((series) => Math.abs(residual[series.key] ?? 0)))
+  );
+  const toX = (timestamp) => ((timestamp - startMs) / spanMs) * CHART_WIDTH;
+  const toY = (km) => CHART_HEIGHT / 2 - (km / extentKm) * (CHART_HEIGHT / 2);
+
+  return (
+    <div className={`hud-card map-panel residual-monitor${exceeded ? ' is-alert' : ''}`}>
+      <div className="panel-label">Residuos telemetría − SGP4</div>
+      {!available ? (
+        <div className="panel-helper">{sourceLabel} no publica telemetría de este objeto.</div>
+      ) : (
+        <>
+          <div className="residual-monitor__controls">
+            <label className="panel-helper">
+              <input type="checkbox" checked={monitoring} onChange={(event) => onMonitoringChange(event.target.checked)} /> Muestrear
+              cada minuto
+            </label>
+            <label className="panel-helper">
+              Umbral error total{' '}
+              <input
+                type="number"
+                min="0.5"
+                max="100"
+                step="0.5"
+                value={thresholdKm}
+                onChange={(event) => onThresholdChange(Number(event.target.value) || thresholdKm)}
+              />{' '}
+              km
+            </label>
+          </div>
+          {residuals.length > 1 ? (
+            <svg className="residual-monitor__chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+              <line x1="0" x2={CHART_WIDTH} y1={toY(0)} y2={toY(0)} className="residual-monitor__axis" />
+              <line x1="0" x2={CHART_WIDTH} y1={toY(thresholdKm)} y2={toY(thresholdKm)} className="residual-monitor__threshold" />
+              {plotted.map((series) => (
+                <polyline
+                  key={series.key}
+                  fill="none"
+                  stroke={series.color}
+                  strokeWidth="1.5"
+                  vectorEffect="non-scaling-stroke"
+                  points={residuals
+                    .filter((residual) => residual[series.key] != null)
+                    .map((residual) => `${toX(residual.timestamp)},${toY(residual[series.key])}`)
+                    .join(' ')}
+                />
+              ))}
+            </svg>
+          ) : (
+            <div className="panel-helper">Esperando al menos dos muestras de telemetría...</div>
+          )}
+          {latest && (
+            <div className="residual-monitor__legend">
+              {SERIES.map((series) => (
+                <span key={series.key}>
+                  <span className="legend-dot" style={{ background: series.color }} />
+                  {series.label} {latest[series.key] != null ? `${latest[series.key].toFixed(2)} km` : '--'}
+                </span>
+              ))}
+            </div>
+          )}
+          {latest && (
+            <div className="panel-helper">
+              {sourceLabel} • {residuals.length} muestras • última {dayjs(latest.timestamp).format('HH:mm:ss')}
+            </div>
+          )}
+          {latest && latest.altitudeKm == null && (
+            <div className="panel-helper">{sourceLabel} no publica altitud: solo se miden along-track y cross-track.</div>
+          )}
+          {exceeded && (
+            <div className="residual-monitor__alert">
+              El error total supera {thresholdKm} km: el TLE puede estar desfasado (¿reimpulso?). Actualiza los elementos.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useMemo, useState } from 'react';
+
+const MAX_VISIBLE_RESULTS = 40;
+
+// Catalog browser: pick a CelesTrak group, filter by name/NORAD and toggle the objects to track.
+export default function SatelliteCatalog({
+  groups,
+  groupId,
+  onGroupChange,
+  entries,
+  trackedIds,
+  maxTracked,
+  loading,
+  onToggle,
+  onTrackLaunch,
+}) {
+  const [query, setQuery] = useState('');
+  const [launch, setLaunch] = useState('');
+
+  const matches = useMemo(() => {
+    const needle = query.trim().toUpperCase();
+    const filtered = needle
+      ? entries.filter((entry) => entry.name.toUpperCase().includes(needle) || entry.noradId === needle)
+      : entries;
+    return filtered.slice(0, MAX_VISIBLE_RESULTS);
+  }, [entries, query]);
+
+  // Launch batches (e.g. one Starlink deployment) grouped by international designator.
+  const launches = useMemo(() => {
+    const counts = new Map();
+    entries.forEach((entry) => {
+      if (entry.launch) counts.set(entry.launch, (counts.get(entry.launch) || 0) + 1);
+    });
+    return [...counts.entries()].filter(([, count]) => count > 1).sort((a, b) => b[0].localeCompare(a[0]));
+  }, [entries]);
+
+  const trackedCount = trackedIds.length;
+
+  return (
+    <div className="hud-card map-panel sat-catalog">
+      <div className="panel-label">Catálogo de satélites</div>
+      <select className="sat-catalog__select" value={groupId} onChange={(event) => onGroupChange(event.target.value)}>
+        {groups.map((group) => (
+          <option key={group.id} value={group.id}>
+            {group.label}
+          </option>
+        ))}
+      </select>
+      <input
+        className="sat-catalog__search"
+        type="search"
+        placeholder="Buscar por nombre o NORAD"
+        value={query}
+        onChange={(event) => setQuery(event.target.value)}
+      />
+      {loading && <div className="panel-helper">Descargando elementos orbitales...</div>}
+      <ul className="sat-catalog__list">
+        {matches.map((entry) => {
+          const checked = trackedIds.includes(entry.noradId);
+          return (
+            <li key={entry.noradId}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={!checked && trackedCount >= maxTracked}
+                  onChange={() => onToggle(entry.noradId)}
+                />
+                <span>{entry.name}</span>
+                <span className="sat-catalog__id">{entry.noradId}</span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+      {!loading && !matches.length && <div className="panel-helper">Sin resultados en este grupo.</div>}
+      {launches.length > 0 && (
+        <div className="sat-catalog__launch">
+          <select value={launch} onChange={(event) => setLaunch(event.target.value)}>
+            <option value="">Lanzamiento...</option>
+            {launches.map(([key, count]) => (
+              <option key={key} value={key}>
+                {key} ({count})
+              </option>
+            ))}
+          </select>
+          <button className="tertiary" disabled={!launch} onClick={() => onTrackLaunch(launch)}>
+            Seguir lote
+          </button>
+        </div>
+      )}
+      <div className="panel-helper">
+        {trackedCount}/{maxTracked} objetos seguidos
+      </div>
+    </div>
+  );
+}
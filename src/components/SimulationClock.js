@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react';
+import dayjs from 'dayjs';
+import {
+  clampSimTime,
+  formatRate,
+  rateToSlider,
+  SIM_STEP_OPTIONS,
+  sliderToRate,
+  TIMELINE_AFTER_MS,
+  TIMELINE_BEFORE_MS,
+  timelineStartFor,
+} from '../lib/simulationClock';
+
+// Global time-travel controls: timeline scrubber, jump to a date, forward/reverse playback, steps and speed.
+export default function SimulationClock({ timeMs, playing, rate, markers, onPlay, onPause, onStep, onJump, onRateChange, onLive }) {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [stepMs, setStepMs] = useState(SIM_STEP_OPTIONS[1].ms);
+  const [jumpDraft, setJumpDraft] = useState('');
+  // Clamped so a stray out-of-range instant cannot make the UTC readout throw.
+  const displayMs = clampSimTime(timeMs ?? nowMs);
+  const [windowStart, setWindowStart] = useState(() => timelineStartFor(displayMs, null));
+  const stepLabel = SIM_STEP_OPTIONS.find((option) => option.ms === stepMs)?.label;
+
+  useEffect(() => {
+    if (timeMs != null) return undefined;
+    const interval = setInterval(() => setNowMs(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timeMs]);
+
+  // The scrubber window only moves when the clock leaves it, so dragging does not shift the scale under the cursor.
+  useEffect(() => {
+    setWindowStart((current) => timelineStartFor(displayMs, current));
+  }, [displayMs]);
+
+  const windowEnd = windowStart + TIMELINE_BEFORE_MS + TIMELINE_AFTER_MS;
+  const playingBackward = playing && rate < 0;
+  const playingForward = playing && rate > 0;
+
+  const handleJump = (event) => {
+    event.preventDefault();
+    const target = dayjs(jumpDraft);
+    if (target.isValid()) onJump(target.valueOf());
+  };
+
+  return (
+    <div className="hud-card sim-clock">
+      <div className="sim-clock__header">
+        <span className="panel-label">Reloj de simulación</span>
+        <span className={`sim-clock__mode${timeMs != null ? ' is-simulated' : ''}`}>
+          {timeMs != null ? `Simulado ${formatRate(rate)}` : 'Tiempo real'}
+        </span>
+        <strong className="sim-clock__time">{dayjs(displayMs).format('DD MMM YYYY HH:mm:ss')}</strong>
+        <span className="panel-helper">{new Date(displayMs).toISOString().slice(0, 19).replace('T', ' ')} UTC</span>
+      </div>
+
+      <input
+        className="sim-clock__timeline"
+        type="range"
+        min={windowStart}
+        max={windowEnd}
+        step={60 * 1000}
+        value={Math.min(windowEnd, Math.max(windowStart, displayMs))}
+        list="sim-clock-markers"
+        aria-label="Línea de tiempo"
+        onChange={(event) => onJump(Number(event.target.value))}
+      />
+      <datalist id="sim-clock-markers">
+        {markers
+          .filter((time) => time >= windowStart && time <= windowEnd)
+          .map((time) => (
+            <option key={time} value={time} label={dayjs(time).format('DD MMM HH:mm')} />
+          ))}
+      </datalist>
+      <div className="sim-clock__scale panel-helper">
+        <span>{dayjs(windowStart).format('DD MMM HH:mm')}</span>
+        <span>{dayjs(windowEnd).format('DD MMM HH:mm')}</span>
+      </div>
+
+      <div className="sim-clock__controls">
+        <button className="tertiary" onClick={() => onStep(-stepMs)} title={`Retroceder ${stepLabel}`}>
+          −{stepLabel}
+        </button>
+        <button className="tertiary" onClick={() => (playingBackward ? onPause() : onPlay(-1))} title="Reproducir hacia atrás">
+          {playingBackward ? 'Pausar' : '◀ Atrás'}
+        </button>
+        <button className="tertiary" onClick={() => (playingForward ? onPause() : onPlay(1))} title="Reproducir">
+          {playingForward ? 'Pausar' : 'Adelante ▶'}
+        </button>
+        <button className="tertiary" onClick={() => onStep(stepMs)} title={`Avanzar ${stepLabel}`}>
+          +{stepLabel}
+        </button>
+        <select value={stepMs} onChange={(event) => setStepMs(Number(event.target.value))} aria-label="Tamaño del paso">
+          {SIM_STEP_OPTIONS.map((option) => (
+            <option key={option.ms} value={option.ms}>
+              Paso {option.label}
+            </option>
+          ))}
+        </select>
+        <button className="secondary" onClick={onLive} disabled={timeMs == null}>
+          Ahora
+        </button>
+      </div>
+
+      <div className="sim-clock__settings">
+        <label className="panel-label" htmlFor="sim-rate">
+          Velocidad {formatRate(Math.abs(rate))}
+        </label>
+        <input
+          id="sim-rate"
+          type="range"
+          min="0"
+          max="1000"
+          value={rateToSlider(rate)}
+          onChange={(event) => onRateChange((rate < 0 ? -1 : 1) * sliderToRate(event.target.value))}
+        />
+        <form className="sim-clock__jump" onSubmit={handleJump}>
+          <input
+            type="datetime-local"
+            step="1"
+            value={jumpDraft}
+            aria-label="Ir a fecha y hora (hora local)"
+            onFocus={() => setJumpDraft((draft) => draft || dayjs(displayMs).format('YYYY-MM-DDTHH:mm:ss'))}
+            onChange={(event) => setJumpDraft(event.target.value)}
+          />
+          <button className="tertiary" type="submit" disabled={!jumpDraft}>
+            Ir
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
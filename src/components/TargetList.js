@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import dayjs from 'dayjs';
+
+// Countdown such as "1 h 05 min" or "04:32" (mm:ss) under one hour.
+function formatCountdown(ms) {
+  if (ms <= 0) return 'en curso';
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours} h ${String(minutes).padStart(2, '0')} min`;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
+// Saved ground sites with their next pass and countdown; one of them is the active simulation target.
+export default function TargetList({ targets, activeId, passes, passesUnavailable, onSelect, onRemove, onAdd }) {
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [draft, setDraft] = useState({ name: '', lat: '', lng: '' });
+
+  useEffect(() => {
+    const interval = setInterval(() => setNowMs(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const lat = Number(draft.lat);
+  const lng = Number(draft.lng);
+  const draftValid =
+    draft.lat.trim() !== '' && draft.lng.trim() !== '' && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!draftValid) return;
+    onAdd({ name: draft.name.trim() || `${lat.toFixed(2)}°, ${lng.toFixed(2)}°`, lat, lng });
+    setDraft({ name: '', lat: '', lng: '' });
+  };
+
+  return (
+    <div className="hud-card map-panel target-list">
+      <div className="panel-label">Objetivos guardados</div>
+      {targets.length ? (
+        <ul className="target-list__items">
+          {targets.map((target) => {
+            // undefined while the search is pending, null when it found no pass; passesUnavailable overrides both.
+            const pass = passesUnavailable ? undefined : passes[target.id];
+            return (
+              <li key={target.id} className={target.id === activeId ? 'is-active' : undefined}>
+                <button className="target-list__select" onClick={() => onSelect(target.id)} title="Usar como objetivo activo">
+                  <span className="target-list__name">{target.name}</span>
+                  <span className="panel-helper">
+                    {target.lat.toFixed(2)}°, {target.lng.toFixed(2)}° • umbral {target.thresholdKm} km
+                  </span>
+                  <span className="panel-helper">
+                    {passesUnavailable}
+                    {pass === undefined && !passesUnavailable && 'Calculando…'}
+                    {pass === null && 'Sin pase en las próximas 24 h'}
+                    {pass && `Próximo pase ${dayjs(pass.rise.time).format('DD MMM HH:mm')} • ${formatCountdown(pass.rise.time - nowMs)}`}
+                  </span>
+                </button>
+                <button className="tertiary" onClick={() => onRemove(target.id)} aria-label={`Eliminar ${target.name}`}>
+                  ✕
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <div className="panel-helper">Haz clic en el mapa, usa tu ubicación o introduce coordenadas.</div>
+      )}
+      <form className="target-list__form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="Nombre"
+          value={draft.name}
+          onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+        />
+        <input
+          type="number"
+          step="any"
+          placeholder="Lat"
+          value={draft.lat}
+          onChange={(event) => setDraft({ ...draft, lat: event.target.value })}
+        />
+        <input
+          type="number"
+          step="any"
+          placeholder="Lon"
+          value={draft.lng}
+          onChange={(event) => setDraft({ ...draft, lng: event.target.value })}
+        />
+        <button className="tertiary" type="submit" disabled={!draftValid}>
+          Añadir
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import dayjs from 'dayjs';
+
+// Formats a 3D vector as "x, y, z" with a fixed number of decimals.
+function formatVector(vector, digits) {
+  if (!vector) return '--';
+  return ['x', 'y', 'z'].map((axis) => vector[axis].toFixed(digits)).join(', ');
+}
+
+// Magnitude of a 3D vector.
+function norm(vector) {
+  return Math.hypot(vector.x, vector.y, vector.z);
+}
+
+// Detailed state of the active object: altitude, ECI/ECEF vectors and the TLE orbital elements.
+export default function TelemetryDetails({ name, state, elements }) {
+  const frames = [
+    { key: 'eci', label: 'ECI (TEME)' },
+    { key: 'ecef', label: 'ECEF' },
+  ];
+
+  return (
+    <div className="hud-card map-panel telemetry-details">
+      <div className="panel-label">Telemetría detallada • {name}</div>
+      <div className="telemetry-details__grid">
+        <div>
+          <div className="panel-helper">Altitud</div>
+          <div className="panel-value">{Number.isFinite(state?.altitudeKm) ? `${state.altitudeKm.toFixed(1)} km` : '--'}</div>
+        </div>
+        <div>
+          <div className="panel-helper">Radio orbital</div>
+          <div className="panel-value">{state?.eci ? `${norm(state.eci.position).toFixed(1)} km` : '--'}</div>
+        </div>
+      </div>
+
+      <table className="telemetry-details__table">
+        <thead>
+          <tr>
+            <th>Marco</th>
+            <th>Posición (km)</th>
+            <th>Velocidad (km/s)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {frames.map((frame) => (
+            <tr key={frame.key}>
+              <th scope="row">{frame.label}</th>
+              <td>{formatVector(state?.[frame.key]?.position, 1)}</td>
+              <td>
+                {formatVector(state?.[frame.key]?.velocity, 3)}
+                {state?.[frame.key] && ` (|v| ${norm(state[frame.key].velocity).toFixed(3)})`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {elements ? (
+        <dl className="telemetry-details__elements">
+          <dt>Época TLE</dt>
+          <dd>{dayjs(elements.epochMs).format('DD MMM YYYY HH:mm')}</dd>
+          <dt>Inclinación</dt>
+          <dd>{elements.inclinationDeg.toFixed(4)}°</dd>
+          <dt>Excentricidad</dt>
+          <dd>{elements.eccentricity.toFixed(7)}</dd>
+          <dt>RAAN</dt>
+          <dd>{elements.raanDeg.toFixed(4)}°</dd>
+          <dt>Arg. del perigeo</dt>
+          <dd>{elements.argPerigeeDeg.toFixed(4)}°</dd>
+          <dt>Anomalía media</dt>
+          <dd>{elements.meanAnomalyDeg.toFixed(4)}°</dd>
+          <dt>Periodo</dt>
+          <dd>
+            {elements.periodMinutes.toFixed(2)} min ({elements.meanMotionRevDay.toFixed(4)} rev/día)
+          </dd>
+          <dt>Semieje mayor</dt>
+          <dd>{elements.semiMajorAxisKm.toFixed(1)} km</dd>
+          <dt>Apogeo / perigeo</dt>
+          <dd>
+            {elements.apogeeKm.toFixed(1)} / {elements.perigeeKm.toFixed(1)} km
+          </dd>
+        </dl>
+      ) : (
+        <div className="panel-helper">Esperando elementos orbitales...</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import { availableProviderTypes } from '../lib/telemetryProviders';
+
+const MAPPING_FIELDS = [
+  { key: 'lat', label: 'Latitud' },
+  { key: 'lng', label: 'Longitud' },
+  { key: 'altitudeKm', label: 'Altitud (km)' },
+  { key: 'timestamp', label: 'Instante' },
+  { key: 'velocityKmh', label: 'Velocidad (km/h)' },
+];
+
+// Runtime choice of telemetry provider plus the settings of the generic JSON and replay providers.
+export default function TelemetrySourcePanel({ config, onChange, available }) {
+  const update = (patch) => onChange({ ...config, ...patch });
+
+  // Accepts a JSON array or one JSON object per line (NDJSON) with recorded samples.
+  const handleReplayFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const text = (await file.text()).trim();
+    let samples = [];
+    try {
+      samples = text.startsWith('[') ? JSON.parse(text) : text.split(/\r?\n/).filter(Boolean).map((line) => JSON.parse(line));
+    } catch (err) {
+      samples = [];
+    }
+    update({ samples, replayName: file.name });
+  };
+
+  return (
+    <details className="hud-card map-panel telemetry-source">
+      <summary className="panel-label">Fuente de telemetría</summary>
+      <select value={config.type} onChange={(event) => update({ type: event.target.value })}>
+        {availableProviderTypes().map((type) => (
+          <option key={type.id} value={type.id}>
+            {type.label}
+          </option>
+        ))}
+      </select>
+
+      {config.type === 'json' && (
+        <div className="telemetry-source__mapping">
+          <label className="panel-helper">
+            URL ({'{noradId}'} se sustituye)
+            <input
+              type="url"
+              placeholder="http://localhost:4010/v1/satellites/{noradId}"
+              value={config.url}
+              onChange={(event) => update({ url: event.target.value })}
+            />
+          </label>
+          {MAPPING_FIELDS.map((field) => (
+            <label key={field.key} className="panel-helper">
+              {field.label}
+              <input
+                type="text"
+                value={config.mapping[field.key] || ''}
+                onChange={(event) => update({ mapping: { ...config.mapping, [field.key]: event.target.value } })}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {config.type === 'replay' && (
+        <label className="tertiary element-import__file">
+          {config.replayName ? `${config.replayName} (${config.samples.length} muestras)` : 'Cargar muestras (JSON)'}
+          <input type="file" accept=".json,.ndjson,.txt" onChange={handleReplayFile} />
+        </label>
+      )}
+
+      {config.type === 'mock' && (
+        <div className="panel-helper">Genera la telemetría con SGP4 a partir del TLE activo, sin acceder a la red.</div>
+      )}
+      {!available && <div className="panel-helper">Esta fuente no cubre el objeto activo.</div>}
+    </details>
+  );
+}
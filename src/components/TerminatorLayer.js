@@ -0,0 +1,46 @@
+import { useMemo } from 'react';
+import { CircleMarker, Polygon, Tooltip } from 'react-leaflet';
+import { buildNightPolygons, computeSubsolarPoint } from '../lib/orbit';
+
+// Sun elevation limits of the shaded bands: sunset, then civil, nautical and astronomical twilight.
+const TWILIGHT_BANDS = [
+  { key: 'sunset', sunElevationDeg: -0.833, opacity: 0.12 },
+  { key: 'civil', sunElevationDeg: -6, opacity: 0.1 },
+  { key: 'nautical', sunElevationDeg: -12, opacity: 0.1 },
+  { key: 'astronomical', sunElevationDeg: -18, opacity: 0.12 },
+];
+
+// Day/night terminator with stacked twilight bands and the subsolar point for the given instant.
+export default function TerminatorLayer({ timeMs }) {
+  const { bands, subsolar } = useMemo(
+    () => ({
+      bands: TWILIGHT_BANDS.map((band) => ({ ...band, polygons: buildNightPolygons(timeMs, band.sunElevationDeg) })),
+      subsolar: computeSubsolarPoint(timeMs),
+    }),
+    [timeMs]
+  );
+
+  return (
+    <>
+      {bands.map((band) =>
+        band.polygons.map((ring, index) => (
+          <Polygon
+            key={`night-${band.key}-${index}`}
+            positions={ring}
+            interactive={false}
+            pathOptions={{ stroke: false, fillColor: '#020617', fillOpacity: band.opacity }}
+          />
+        ))
+      )}
+      <CircleMarker
+        center={[subsolar.lat, subsolar.lng]}
+        radius={7}
+        pathOptions={{ color: '#facc15', fillColor: '#fde047', fillOpacity: 0.9, weight: 2 }}
+      >
+        <Tooltip>
+          Punto subsolar {new Date(timeMs).toISOString().slice(11, 16)} UTC
+        </Tooltip>
+      </CircleMarker>
+    </>
+  );
+}
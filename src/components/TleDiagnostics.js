@@ -0,0 +1,38 @@
+import dayjs from 'dayjs';
+
+const STATUS_LABELS = {
+  selected: 'Elegida',
+  valid: 'Válida',
+  rejected: 'Rechazada',
+  error: 'Sin respuesta',
+};
+
+// Result of the last TLE refresh: which source won and why the others were discarded.
+export default function TleDiagnostics({ report }) {
+  return (
+    <details className="hud-card map-panel tle-diagnostics">
+      <summary className="panel-label">Fuentes TLE</summary>
+      {report ? (
+        <>
+          <div className="panel-helper">Comprobado {dayjs(report.checkedAt).format('DD MMM HH:mm:ss')}</div>
+          <ul className="tle-diagnostics__list">
+            {report.sources.map((source) => (
+              <li key={source.url} className={`tle-diagnostics__item tle-diagnostics__item--${source.status}`}>
+                <div className="tle-diagnostics__header">
+                  <span title={source.url}>{source.label}</span>
+                  <span className="tle-diagnostics__status">{STATUS_LABELS[source.status]}</span>
+                </div>
+                {source.epochMs != null && (
+                  <div className="panel-helper">Época {dayjs(source.epochMs).format('DD MMM YYYY HH:mm:ss')}</div>
+                )}
+                <div className="panel-helper">{source.message}</div>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <div className="panel-helper">Consultando fuentes...</div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,116 @@
+// Offline Earth textures for the 3D globe, painted on canvases from the Natural Earth 1:110m land outline bundled
+// with world-atlas: a day map (ocean, land, coastlines, graticule) and an approximate night-lights map.
+import { feature } from 'topojson-client';
+import land110m from 'world-atlas/land-110m.json';
+import { WORLD_CITIES } from './worldCities';
+
+export const TEXTURE_WIDTH = 2048; // equirectangular, so the height is half of it
+const GRATICULE_STEP_DEG = 30;
+const WRAP_SHIFTS = [-360, 0, 360]; // unwrapped rings may spill past ±180°, so each one is also drawn shifted
+
+// Makes ring longitudes continuous (no ±360° jumps at the antimeridian).
+export function unwrapRing(ring) {
+  const points = [];
+  let offset = 0;
+  ring.forEach(([lng, lat], index) => {
+    if (index > 0) {
+      const delta = lng + offset - points[index - 1][0];
+      if (delta > 180) offset -= 360;
+      else if (delta < -180) offset += 360;
+    }
+    points.push([lng + offset, lat]);
+  });
+  return points;
+}
+
+// Pole enclosed by an unwrapped ring that winds all the way around the globe (Antarctica), otherwise null.
+export function enclosedPole(ring) {
+  if (ring.length < 2 || Math.abs(ring[ring.length - 1][0] - ring[0][0]) < 180) return null;
+  return ring.reduce((sum, [, lat]) => sum + lat, 0) < 0 ? -90 : 90;
+}
+
+// Land polygons of the bundled outline as lists of unwrapped [lng, lat] rings (exterior first, then holes).
+export function landPolygons(topology = land110m) {
+  const collection = feature(topology, topology.objects.land);
+  return (collection.features || [collection])
+    .flatMap(({ geometry }) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates))
+    .map((polygon) => polygon.map(unwrapRing));
+}
+
+// Equirectangular pixel of a [lng, lat] pair on a width × height texture (u = 0 at -180°, north at the top).
+export function toTexturePixel([lng, lat], width, height) {
+  return [((lng + 180) / 360) * width, ((90 - lat) / 180) * height];
+}
+
+// Adds every ring to the current path; filled outlines are closed along the pole they enclose.
+function traceRings(context, polygons, width, height, { closePoles }) {
+  context.beginPath();
+  polygons.forEach((polygon) =>
+    polygon.forEach((ring) => {
+      const pole = closePoles ? enclosedPole(ring) : null;
+      const points = pole == null ? ring : [...ring, [ring[ring.length - 1][0], pole], [ring[0][0], pole]];
+      WRAP_SHIFTS.forEach((shift) => {
+        points.forEach(([lng, lat], index) => {
+          const [x, y] = toTexturePixel([lng + shift, lat], width, height);
+          if (index === 0) context.moveTo(x, y);
+          else context.lineTo(x, y);
+        });
+        if (closePoles) context.closePath();
+      });
+    })
+  );
+}
+
+// Day map: ocean gradient, graticule every 30°, land and coastlines.
+export function paintDayTexture(context, width, height, polygons = landPolygons()) {
+  const ocean = context.createLinearGradient(0, 0, 0, height);
+  ocean.addColorStop(0, '#1b3350');
+  ocean.addColorStop(0.5, '#0c3b6e');
+  ocean.addColorStop(1, '#1b3350');
+  context.fillStyle = ocean;
+  context.fillRect(0, 0, width, height);
+
+  context.strokeStyle = 'rgba(148, 197, 255, 0.18)';
+  context.lineWidth = 1;
+  context.beginPath();
+  for (let lng = -180; lng <= 180; lng += GRATICULE_STEP_DEG) {
+    const [x] = toTexturePixel([lng, 0], width, height);
+    context.moveTo(x, 0);
+    context.lineTo(x, height);
+  }
+  for (let lat = -90 + GRATICULE_STEP_DEG; lat < 90; lat += GRATICULE_STEP_DEG) {
+    const [, y] = toTexturePixel([0, lat], width, height);
+    context.moveTo(0, y);
+    context.lineTo(width, y);
+  }
+  context.stroke();
+
+  context.fillStyle = '#4d7a45';
+  traceRings(context, polygons, width, height, { closePoles: true });
+  context.fill('evenodd');
+
+  context.strokeStyle = '#d9f2c4';
+  context.lineWidth = Math.max(1, width / 1400);
+  traceRings(context, polygons, width, height, { closePoles: false });
+  context.stroke();
+}
+
+// Night map: dark land with a glow on every gazetteer city (a stand-in for real night-lights imagery).
+export function paintNightTexture(context, width, height, polygons = landPolygons()) {
+  context.fillStyle = '#01030a';
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = '#0a1322';
+  traceRings(context, polygons, width, height, { closePoles: true });
+  context.fill('evenodd');
+
+  const radius = width / 220;
+  WORLD_CITIES.forEach(([, , lat, lng]) => {
+    const [x, y] = toTexturePixel([lng, lat], width, height);
+    const glow = context.createRadialGradient(x, y, 0, x, y, radius);
+    glow.addColorStop(0, 'rgba(255, 214, 140, 0.95)');
+    glow.addColorStop(0.35, 'rgba(255, 176, 82, 0.45)');
+    glow.addColorStop(1, 'rgba(255, 160, 60, 0)');
+    context.fillStyle = glow;
+    context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+  });
+}
@@ -0,0 +1,39 @@
+import { enclosedPole, landPolygons, toTexturePixel, unwrapRing } from './earthTexture';
+
+describe('unwrapRing', () => {
+  test('keeps longitudes continuous across the antimeridian', () => {
+    expect(unwrapRing([[178, 65], [-179, 66], [-176, 64], [179, 63], [178, 65]])).toEqual([
+      [178, 65],
+      [181, 66],
+      [184, 64],
+      [179, 63],
+      [178, 65],
+    ]);
+  });
+});
+
+describe('landPolygons', () => {
+  const polygons = landPolygons();
+  const rings = polygons.flat();
+
+  test('has no ring jumping across the antimeridian', () => {
+    rings.forEach((ring) => {
+      ring.slice(1).forEach(([lng], index) => expect(Math.abs(lng - ring[index][0])).toBeLessThanOrEqual(180));
+    });
+  });
+
+  test('closes only Antarctica along a pole', () => {
+    const polar = rings.filter((ring) => enclosedPole(ring) != null);
+    expect(polar).toHaveLength(1);
+    expect(enclosedPole(polar[0])).toBe(-90);
+    expect(Math.max(...polar[0].map(([, lat]) => lat))).toBeLessThan(-60);
+  });
+});
+
+describe('toTexturePixel', () => {
+  test('maps the equirectangular corners and the prime meridian', () => {
+    expect(toTexturePixel([-180, 90], 2048, 1024)).toEqual([0, 0]);
+    expect(toTexturePixel([0, 0], 2048, 1024)).toEqual([1024, 512]);
+    expect(toTexturePixel([180, -90], 2048, 1024)).toEqual([2048, 1024]);
+  });
+});
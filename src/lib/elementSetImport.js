@@ -0,0 +1,136 @@
+// Parses user-supplied orbital data (TLE text, CCSDS OMM in XML or KVN, CelesTrak OMM JSON) into catalog entries.
+import { launchKeyFromDesignator, parseTleCatalog, validateTleEntry } from './tleCatalog';
+
+const OMM_REQUIRED_FIELDS = [
+  'NORAD_CAT_ID',
+  'EPOCH',
+  'MEAN_MOTION',
+  'ECCENTRICITY',
+  'INCLINATION',
+  'RA_OF_ASC_NODE',
+  'ARG_OF_PERICENTER',
+  'MEAN_ANOMALY',
+];
+const OMM_OPTIONAL_FIELDS = ['OBJECT_NAME', 'OBJECT_ID', 'BSTAR', 'MEAN_MOTION_DOT', 'MEAN_MOTION_DDOT', 'MEAN_ELEMENT_THEORY'];
+
+// Guesses the format from the first meaningful characters of the text.
+export function detectElementFormat(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+  if (trimmed.startsWith('<')) return 'xml';
+  if (/^\s*(CCSDS_OMM_VERS|OBJECT_NAME|NORAD_CAT_ID)\s*=/m.test(trimmed)) return 'kvn';
+  return 'tle';
+}
+
+// Splits a "2008-09-20T12:25:40.104192" style OMM epoch into a UTC timestamp (the Z suffix is optional).
+function parseOmmEpoch(epoch) {
+  if (typeof epoch !== 'string') return null;
+  const timeMs = Date.parse(epoch.endsWith('Z') ? epoch : `${epoch}Z`);
+  return Number.isFinite(timeMs) ? timeMs : null;
+}
+
+// Converts one OMM record (field name -> value) into a catalog entry, or returns the reasons it was rejected.
+function ommRecordToEntry(record, index) {
+  const label = record.OBJECT_NAME || record.NORAD_CAT_ID || `#${index + 1}`;
+  const missing = OMM_REQUIRED_FIELDS.filter((field) => record[field] == null || record[field] === '');
+  if (missing.length) return { issue: `${label}: faltan ${missing.join(', ')}` };
+  if (record.MEAN_ELEMENT_THEORY && !/^SGP4/i.test(String(record.MEAN_ELEMENT_THEORY).trim())) {
+    return { issue: `${label}: teoría ${record.MEAN_ELEMENT_THEORY} no compatible con SGP4` };
+  }
+  const epochMs = parseOmmEpoch(String(record.EPOCH).trim());
+  if (epochMs == null) return { issue: `${label}: época ${record.EPOCH} ilegible` };
+
+  const omm = {};
+  [...OMM_REQUIRED_FIELDS, ...OMM_OPTIONAL_FIELDS].forEach((field) => {
+    if (record[field] != null && record[field] !== '') omm[field] = String(record[field]).trim();
+  });
+  omm.BSTAR = omm.BSTAR || '0';
+  omm.MEAN_MOTION_DOT = omm.MEAN_MOTION_DOT || '0';
+  omm.MEAN_MOTION_DDOT = omm.MEAN_MOTION_DDOT || '0';
+  const numericFields = OMM_REQUIRED_FIELDS.filter((field) => field !== 'EPOCH');
+  const invalid = numericFields.filter((field) => !Number.isFinite(Number(omm[field])));
+  if (invalid.length) return { issue: `${label}: valores no numéricos en ${invalid.join(', ')}` };
+
+  const noradId = String(Number(omm.NORAD_CAT_ID));
+  const intlDesignator = omm.OBJECT_ID || '';
+  return {
+    entry: {
+      noradId,
+      name: omm.OBJECT_NAME || `NORAD ${noradId}`,
+      omm,
+      intlDesignator,
+      launch: /^\d{4}-\d{3}/.test(intlDesignator) ? intlDesignator.substring(0, 8) : launchKeyFromDesignator(intlDesignator),
+      epochMs,
+    },
+  };
+}
+
+// Extracts every <segment> (or whole <omm>) of an OMM XML document as a flat field map.
+function parseOmmXml(text) {
+  const blocks = text.match(/<segment[\s>][\s\S]*?<\/segment>/gi) || text.match(/<omm[\s>][\s\S]*?<\/omm>/gi) || [text];
+  return blocks.map((block) => {
+    const record = {};
+    for (const [, key, value] of block.matchAll(/<([A-Z_]+)(?:\s[^>]*)?>([^<]*)<\/\1>/g)) {
+      record[key] = value.trim();
+    }
+    return record;
+  });
+}
+
+// Reads KEY = VALUE [units] lines; a repeated key or a new CCSDS_OMM_VERS header starts the next object.
+function parseOmmKvn(text) {
+  const records = [];
+  let current = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([A-Z_0-9]+)\s*=\s*(.*?)\s*(\[[^\]]*\])?\s*$/);
+    if (!match || match[1] === 'COMMENT') return;
+    const [, key, value] = match;
+    if (Object.keys(current).length && (key === 'CCSDS_OMM_VERS' || key in current)) {
+      records.push(current);
+      current = {};
+    }
+    current[key] = value;
+  });
+  if (Object.keys(current).length) records.push(current);
+  return records;
+}
+
+// Parses pasted or uploaded text; returns the detected format, valid entries and the issues found.
+export function parseElementSets(text, nowMs = Date.now()) {
+  const format = detectElementFormat(text);
+  const issues = [];
+  const entries = [];
+  if (!format) return { format, entries, issues: ['No hay datos que importar'] };
+
+  if (format === 'tle') {
+    parseTleCatalog(text).forEach((entry) => {
+      const check = validateTleEntry(entry, nowMs);
+      if (check.valid) entries.push(entry);
+      else issues.push(`${entry.name}: ${check.issues.join(' • ')}`);
+    });
+    if (!entries.length && !issues.length) issues.push('No se encontraron pares de líneas TLE');
+    return { format, entries, issues };
+  }
+
+  let records = [];
+  try {
+    if (format === 'json') {
+      const parsed = JSON.parse(text);
+      records = Array.isArray(parsed) ? parsed : [parsed];
+    } else if (format === 'xml') {
+      records = parseOmmXml(text);
+    } else {
+      records = parseOmmKvn(text);
+    }
+  } catch (err) {
+    return { format, entries, issues: [`No se pudo leer el ${format.toUpperCase()} (${err.message})`] };
+  }
+
+  records.forEach((record, index) => {
+    const result = ommRecordToEntry(record || {}, index);
+    if (result.entry) entries.push(result.entry);
+    else issues.push(result.issue);
+  });
+  return { format, entries, issues };
+}
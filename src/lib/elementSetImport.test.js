@@ -0,0 +1,80 @@
+import * as satellite from 'satellite.js';
+import { detectElementFormat, parseElementSets } from './elementSetImport';
+import { createSatrec } from './orbit';
+
+const NOW = Date.UTC(2008, 8, 25);
+const ISS_TLE = [
+  'ISS (ZARYA)',
+  '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+  '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537',
+].join('\n');
+
+// The same element set expressed as CelesTrak OMM JSON, CCSDS OMM XML and KVN.
+const ISS_OMM = {
+  OBJECT_NAME: 'ISS (ZARYA)',
+  OBJECT_ID: '1998-067A',
+  EPOCH: '2008-09-20T12:25:40.104192',
+  MEAN_MOTION: 15.72125391,
+  ECCENTRICITY: 0.0006703,
+  INCLINATION: 51.6416,
+  RA_OF_ASC_NODE: 247.4627,
+  ARG_OF_PERICENTER: 130.536,
+  MEAN_ANOMALY: 325.0288,
+  NORAD_CAT_ID: 25544,
+  BSTAR: -1.1606e-5,
+  MEAN_MOTION_DOT: -0.00002182,
+  MEAN_MOTION_DDOT: 0,
+};
+const toXml = (omm) => `<?xml version="1.0" encoding="UTF-8"?>
+<ndm><omm id="CCSDS_OMM_VERS" version="2.0"><body><segment>
+  <metadata><OBJECT_NAME>${omm.OBJECT_NAME}</OBJECT_NAME><OBJECT_ID>${omm.OBJECT_ID}</OBJECT_ID>
+  <MEAN_ELEMENT_THEORY>SGP4</MEAN_ELEMENT_THEORY></metadata>
+  <data><meanElements><EPOCH>${omm.EPOCH}</EPOCH><MEAN_MOTION>${omm.MEAN_MOTION}</MEAN_MOTION>
+  <ECCENTRICITY>${omm.ECCENTRICITY}</ECCENTRICITY><INCLINATION>${omm.INCLINATION}</INCLINATION>
+  <RA_OF_ASC_NODE>${omm.RA_OF_ASC_NODE}</RA_OF_ASC_NODE><ARG_OF_PERICENTER>${omm.ARG_OF_PERICENTER}</ARG_OF_PERICENTER>
+  <MEAN_ANOMALY>${omm.MEAN_ANOMALY}</MEAN_ANOMALY></meanElements>
+  <tleParameters><NORAD_CAT_ID>${omm.NORAD_CAT_ID}</NORAD_CAT_ID><BSTAR>${omm.BSTAR}</BSTAR>
+  <MEAN_MOTION_DOT>${omm.MEAN_MOTION_DOT}</MEAN_MOTION_DOT><MEAN_MOTION_DDOT>0</MEAN_MOTION_DDOT></tleParameters>
+  </data></segment></body></omm></ndm>`;
+const toKvn = (omm) =>
+  [
+    'CCSDS_OMM_VERS = 2.0',
+    'COMMENT ejemplo',
+    ...Object.entries(omm).map(([key, value]) => `${key} = ${value}${key === 'MEAN_MOTION' ? ' [rev/day]' : ''}`),
+  ].join('\n');
+
+describe('parseElementSets', () => {
+  test('detects each supported format', () => {
+    expect(detectElementFormat(ISS_TLE)).toBe('tle');
+    expect(detectElementFormat(JSON.stringify([ISS_OMM]))).toBe('json');
+    expect(detectElementFormat(toXml(ISS_OMM))).toBe('xml');
+    expect(detectElementFormat(toKvn(ISS_OMM))).toBe('kvn');
+    expect(detectElementFormat('  ')).toBeNull();
+  });
+
+  test('OMM in JSON, XML and KVN propagates like the equivalent TLE', () => {
+    const [tleEntry] = parseElementSets(ISS_TLE, NOW).entries;
+    const timeMs = tleEntry.epochMs + 90 * 60 * 1000;
+    const reference = satellite.propagate(createSatrec(tleEntry), new Date(timeMs)).position;
+
+    [JSON.stringify(ISS_OMM), toXml(ISS_OMM), toKvn(ISS_OMM)].forEach((text) => {
+      const { entries, issues } = parseElementSets(text, NOW);
+      expect(issues).toEqual([]);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({ noradId: '25544', name: 'ISS (ZARYA)', launch: '1998-067' });
+      const position = satellite.propagate(createSatrec(entries[0]), new Date(timeMs)).position;
+      const offsetKm = Math.hypot(position.x - reference.x, position.y - reference.y, position.z - reference.z);
+      expect(offsetKm).toBeLessThan(1);
+    });
+  });
+
+  test('reports incomplete OMM records and corrupt TLE lines', () => {
+    const { NORAD_CAT_ID, MEAN_MOTION, ...incomplete } = ISS_OMM;
+    expect(parseElementSets(JSON.stringify(incomplete), NOW).issues).toEqual([
+      'ISS (ZARYA): faltan NORAD_CAT_ID, MEAN_MOTION',
+    ]);
+    const corrupt = parseElementSets(ISS_TLE.replace('2927', '2920'), NOW);
+    expect(corrupt.entries).toEqual([]);
+    expect(corrupt.issues[0]).toMatch(/checksum/);
+  });
+});
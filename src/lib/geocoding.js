@@ -0,0 +1,170 @@
+// Place search for target selection. Coordinate strings (decimal, DMS, Maidenhead) are parsed locally; names go to a
+// geocoder backend, a plain object { id, label, search(query, { signal }) } resolving to [{ name, shortName, lat, lng, source }].
+import { WORLD_CITIES } from './worldCities';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const MAX_RESULTS = 6;
+
+export const GEOCODER_TYPES = [
+  { id: 'nominatim', label: 'OpenStreetMap Nominatim' },
+  { id: 'offline', label: 'Nomenclátor sin conexión' },
+];
+
+// One coordinate: signed degrees with optional minutes (') and seconds (" or '').
+const DMS = String.raw`([+-]?\d+(?:\.\d+)?)\s*[°º]?\s*(?:(\d+(?:\.\d+)?)\s*['′’]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:["″”]|'')\s*)?`;
+// "40.41 -3.70", "40°24'N 3°42'W" or "40.41N, 3.70W": hemisphere letters after the numbers ("O" = oeste).
+const SUFFIX_PATTERN = new RegExp(String.raw`^${DMS}(?:([NSEWO])[\s,;]*|[\s,;]+)${DMS}([NSEWO])?$`);
+// "N 40°24' W 3°42'": hemisphere letters before the numbers.
+const PREFIX_PATTERN = new RegExp(String.raw`^([NSEWO])\s*${DMS}[\s,;]*([NSEWO])\s*${DMS}$`);
+const MAIDENHEAD_PATTERN = /^[A-R]{2}\d{2}(?:[A-X]{2}(?:\d{2})?)?$/i;
+
+// Degrees, minutes and seconds to signed decimal degrees; null when minutes or seconds are out of range.
+function dmsToDegrees(degrees, minutes, seconds, hemisphere) {
+  const min = minutes ? Number(minutes) : 0;
+  const sec = seconds ? Number(seconds) : 0;
+  if (min >= 60 || sec >= 60) return null;
+  const value = Math.abs(Number(degrees)) + min / 60 + sec / 3600;
+  const negative = degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W' || hemisphere === 'O';
+  return negative ? -value : value;
+}
+
+const isLongitudeHemisphere = (hemisphere) => hemisphere === 'E' || hemisphere === 'W' || hemisphere === 'O';
+
+// Center of a Maidenhead grid locator (4, 6 or 8 characters), e.g. "IN80do" → Madrid.
+export function maidenheadToLatLng(locator) {
+  if (!MAIDENHEAD_PATTERN.test(locator)) return null;
+  const text = locator.toUpperCase();
+  let lat = -90;
+  let lng = -180;
+  let latSize = 180;
+  let lngSize = 360;
+  for (let i = 0; i < text.length; i += 2) {
+    const pair = i / 2;
+    // Field (A-R), square (0-9), subsquare (A-X), extended square (0-9).
+    const divisions = pair === 0 ? 18 : pair % 2 === 1 ? 10 : 24;
+    const base = pair % 2 === 1 ? 48 : 65;
+    lngSize /= divisions;
+    latSize /= divisions;
+    lng += (text.charCodeAt(i) - base) * lngSize;
+    lat += (text.charCodeAt(i + 1) - base) * latSize;
+  }
+  return { lat: lat + latSize / 2, lng: lng + lngSize / 2 };
+}
+
+// Parses a coordinate string into { lat, lng, label }; null when the text is not a coordinate.
+export function parseCoordinates(text) {
+  const input = (text || '').trim();
+  if (!input) return null;
+
+  if (MAIDENHEAD_PATTERN.test(input)) {
+    const point = maidenheadToLatLng(input);
+    return { ...point, label: `Locator ${input.slice(0, 2).toUpperCase()}${input.slice(2, 4)}${input.slice(4).toLowerCase()}` };
+  }
+
+  const normalized = input.toUpperCase();
+  let parts = null;
+  const suffix = normalized.match(SUFFIX_PATTERN);
+  if (suffix) {
+    parts = [
+      { degrees: suffix[1], minutes: suffix[2], seconds: suffix[3], hemisphere: suffix[4] },
+      { degrees: suffix[5], minutes: suffix[6], seconds: suffix[7], hemisphere: suffix[8] },
+    ];
+  } else {
+    const prefix = normalized.match(PREFIX_PATTERN);
+    if (prefix) {
+      parts = [
+        { hemisphere: prefix[1], degrees: prefix[2], minutes: prefix[3], seconds: prefix[4] },
+        { hemisphere: prefix[5], degrees: prefix[6], minutes: prefix[7], seconds: prefix[8] },
+      ];
+    }
+  }
+  if (!parts) return null;
+
+  const [first, second] = parts;
+  // Latitude comes first unless the hemisphere letters say otherwise ("3°42'W 40°24'N").
+  const swapped = isLongitudeHemisphere(first.hemisphere) || (second.hemisphere && !isLongitudeHemisphere(second.hemisphere));
+  if (first.hemisphere && second.hemisphere && isLongitudeHemisphere(first.hemisphere) === isLongitudeHemisphere(second.hemisphere)) {
+    return null;
+  }
+  const [latPart, lngPart] = swapped ? [second, first] : [first, second];
+  const lat = dmsToDegrees(latPart.degrees, latPart.minutes, latPart.seconds, latPart.hemisphere);
+  const lng = dmsToDegrees(lngPart.degrees, lngPart.minutes, lngPart.seconds, lngPart.hemisphere);
+  if (lat == null || lng == null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng, label: `${lat.toFixed(4)}°, ${lng.toFixed(4)}°` };
+}
+
+// Lowercase without diacritics so "bogota" finds "Bogotá".
+function normalizeName(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Searches the bundled gazetteer by city or country; prefix matches rank before substring matches.
+export function searchGazetteer(query, limit = MAX_RESULTS) {
+  const needle = normalizeName(query || '');
+  if (!needle) return [];
+  return WORLD_CITIES.map(([name, country, lat, lng]) => {
+    const city = normalizeName(name);
+    const full = normalizeName(`${name}, ${country}`);
+    let rank = null;
+    if (city === needle) rank = 0;
+    else if (city.startsWith(needle)) rank = 1;
+    else if (full.includes(needle)) rank = 2;
+    return { rank, result: { name: `${name}, ${country}`, shortName: name, lat, lng, source: 'offline' } };
+  })
+    .filter((item) => item.rank != null)
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, limit)
+    .map((item) => item.result);
+}
+
+// OpenStreetMap Nominatim (free, rate limited to one request per second).
+export function createNominatimGeocoder({ url = NOMINATIM_URL } = {}) {
+  return {
+    id: 'nominatim',
+    label: 'OpenStreetMap Nominatim',
+    search: async (query, { signal } = {}) => {
+      const params = new URLSearchParams({ q: query, format: 'jsonv2', limit: String(MAX_RESULTS), 'accept-language': 'es' });
+      const response = await fetch(`${url}?${params}`, { signal });
+      if (!response.ok) throw new Error(`Respuesta ${response.status} de ${new URL(url).host}`);
+      const places = await response.json();
+      return places.map((place) => ({
+        name: place.display_name,
+        shortName: place.name || place.display_name.split(',')[0],
+        lat: Number(place.lat),
+        lng: Number(place.lon),
+        source: 'nominatim',
+      }));
+    },
+  };
+}
+
+// Bundled world cities, no network needed.
+export function createOfflineGeocoder() {
+  return {
+    id: 'offline',
+    label: 'Nomenclátor sin conexión',
+    search: async (query) => searchGazetteer(query),
+  };
+}
+
+// Builds the geocoder for a backend id (Nominatim by default).
+export function createGeocoder(type) {
+  return type === 'offline' ? createOfflineGeocoder() : createNominatimGeocoder();
+}
+
+// Resolves free text into candidate places: { results, fallback } where fallback explains why the gazetteer answered.
+export async function searchPlaces(query, { geocoder = createNominatimGeocoder(), signal, online = true } = {}) {
+  const coordinates = parseCoordinates(query);
+  if (coordinates) {
+    const { label, lat, lng } = coordinates;
+    return { results: [{ name: label, shortName: label, lat, lng, source: 'coordinates' }], fallback: null };
+  }
+  if (geocoder.id === 'offline') return { results: searchGazetteer(query), fallback: null };
+  if (!online) return { results: searchGazetteer(query), fallback: 'Sin conexión: resultados del nomenclátor local' };
+  try {
+    return { results: await geocoder.search(query, { signal }), fallback: null };
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return { results: searchGazetteer(query), fallback: `${geocoder.label} no responde (${err.message}): resultados del nomenclátor local` };
+  }
+}
@@ -0,0 +1,61 @@
+import { maidenheadToLatLng, parseCoordinates, searchGazetteer, searchPlaces } from './geocoding';
+
+describe('parseCoordinates', () => {
+  test('reads decimal pairs with comma or space separators', () => {
+    expect(parseCoordinates('40.4168, -3.7038')).toMatchObject({ lat: 40.4168, lng: -3.7038 });
+    expect(parseCoordinates('-33.45 -70.66')).toMatchObject({ lat: -33.45, lng: -70.66 });
+  });
+
+  test('reads degrees, minutes and seconds with hemisphere letters in either order', () => {
+    const madrid = parseCoordinates(`40°25'01"N 3°42'14"W`);
+    expect(madrid.lat).toBeCloseTo(40.41694, 4);
+    expect(madrid.lng).toBeCloseTo(-3.70389, 4);
+    expect(parseCoordinates(`3°42'14"O 40°25'01"N`).lng).toBeCloseTo(-3.70389, 4);
+    expect(parseCoordinates('S 33.45 W 70.66')).toMatchObject({ lat: -33.45, lng: -70.66 });
+    expect(parseCoordinates('40.42N, 3.70W')).toMatchObject({ lat: 40.42, lng: -3.7 });
+  });
+
+  test('decodes Maidenhead locators to the center of the cell', () => {
+    const point = maidenheadToLatLng('IN80do');
+    expect(point.lat).toBeCloseTo(40.604, 3);
+    expect(point.lng).toBeCloseTo(-3.708, 3);
+    expect(parseCoordinates('in80')).toMatchObject({ lat: 40.5, lng: -3 });
+  });
+
+  test('rejects names and out-of-range values', () => {
+    expect(parseCoordinates('Madrid')).toBeNull();
+    expect(parseCoordinates('95, 10')).toBeNull();
+    expect(parseCoordinates(`40°75'N 3°W`)).toBeNull();
+    expect(parseCoordinates('40N 3S')).toBeNull();
+  });
+});
+
+describe('searchGazetteer', () => {
+  test('ignores accents and ranks exact and prefix matches first', () => {
+    expect(searchGazetteer('bogota')[0]).toMatchObject({ shortName: 'Bogotá', source: 'offline' });
+    const results = searchGazetteer('san');
+    expect(results[0].shortName.startsWith('San')).toBe(true);
+    expect(searchGazetteer('xyzzy')).toEqual([]);
+  });
+});
+
+describe('searchPlaces', () => {
+  test('falls back to the gazetteer when the geocoder fails', async () => {
+    const geocoder = {
+      id: 'remote',
+      label: 'Remoto',
+      search: () => Promise.reject(new Error('timeout')),
+    };
+    const { results, fallback } = await searchPlaces('Lima', { geocoder });
+    expect(results[0].shortName).toBe('Lima');
+    expect(fallback).toMatch(/Remoto no responde/);
+  });
+
+  test('resolves coordinate strings without calling the geocoder', async () => {
+    const geocoder = { id: 'remote', label: 'Remoto', search: jest.fn() };
+    const { results } = await searchPlaces('IN80do', { geocoder });
+    expect(results).toHaveLength(1);
+    expect(results[0].source).toBe('coordinates');
+    expect(geocoder.search).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+// iCalendar (RFC 5545) export of predicted passes: one VEVENT per pass from rise to set.
+
+const MAX_LINE_OCTETS = 75;
+
+// 20240601T210000Z (UTC "form #2" date-time).
+function formatUtc(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines.
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+// Folds content lines longer than 75 octets (continuation lines start with a space), never splitting a character.
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Builds the .ics document for the given passes over a target ({ lat, lng, label }).
+export function buildPassCalendar(passes, { satelliteName = 'ISS', target, nowMs = Date.now() } = {}) {
+  const place = target?.label || (target ? `${target.lat.toFixed(4)}, ${target.lng.toFixed(4)}` : '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ISS Tracker//Pases//ES', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+  passes.forEach((pass) => {
+    const details = [
+      `Elevación máxima: ${pass.maxElevation.toFixed(0)}° a las ${new Date(pass.culmination.time).toISOString().slice(11, 19)} UTC`,
+      `Distancia mínima a la vertical: ${pass.distance.toFixed(0)} km`,
+      pass.visible ? `Visible a simple vista${pass.magnitude != null ? ` (magnitud ${pass.magnitude.toFixed(1)})` : ''}` : 'No visible a simple vista',
+    ];
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${satelliteName.replace(/\W+/g, '-').toLowerCase()}-${pass.rise.time}-${target ? `${target.lat.toFixed(3)}_${target.lng.toFixed(3)}` : 'x'}@iss-tracker`,
+      `DTSTAMP:${formatUtc(nowMs)}`,
+      `DTSTART:${formatUtc(pass.rise.time)}`,
+      `DTEND:${formatUtc(pass.set.time)}`,
+      `SUMMARY:${escapeText(`Pase de ${satelliteName} (${pass.maxElevation.toFixed(0)}°)`)}`,
+      `DESCRIPTION:${escapeText(details.join('\n'))}`
+    );
+    if (place) lines.push(`LOCATION:${escapeText(place)}`);
+    if (target) lines.push(`GEO:${target.lat.toFixed(6)};${target.lng.toFixed(6)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
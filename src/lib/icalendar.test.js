@@ -0,0 +1,44 @@
+import { buildPassCalendar } from './icalendar';
+
+const RISE = Date.UTC(2024, 5, 1, 21, 3, 7);
+const PASS = {
+  rise: { time: RISE },
+  culmination: { time: RISE + 5 * 60 * 1000 },
+  set: { time: RISE + 10 * 60 * 1000 },
+  maxElevation: 63.4,
+  distance: 118.2,
+  visible: true,
+  magnitude: -3.1,
+};
+const TARGET = { lat: 40.4168, lng: -3.7038, label: 'Madrid; centro, España' };
+
+describe('buildPassCalendar', () => {
+  const ics = buildPassCalendar([PASS, { ...PASS, rise: { time: RISE + 86400000 }, set: { time: RISE + 86400000 + 600000 } }], {
+    satelliteName: 'ISS (ZARYA)',
+    target: TARGET,
+    nowMs: Date.UTC(2024, 5, 1),
+  });
+  const unfolded = ics.replace(/\r\n /g, '');
+
+  test('writes one VEVENT per pass with UTC start and end', () => {
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(unfolded).toContain('DTSTART:20240601T210307Z\r\nDTEND:20240601T211307Z');
+    expect(unfolded).toContain('DTSTAMP:20240601T000000Z');
+  });
+
+  test('escapes text values and includes elevation, distance and target', () => {
+    expect(unfolded).toContain('SUMMARY:Pase de ISS (ZARYA) (63°)');
+    expect(unfolded).toContain('LOCATION:Madrid\\; centro\\, España');
+    expect(unfolded).toContain('Elevación máxima: 63°');
+    expect(unfolded).toContain('Distancia mínima a la vertical: 118 km\\nVisible a simple vista (magnitud -3.1)');
+    expect(unfolded).toContain('GEO:40.416800;-3.703800');
+  });
+
+  test('folds long lines to 75 octets', () => {
+    ics.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+    });
+  });
+});
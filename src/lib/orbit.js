@@ -0,0 +1,607 @@
+// Framework-free orbital math shared by the UI and the propagation worker: SGP4 sampling,
+// observer passes, solar lighting and ground-track helpers built on satellite.js.
+import * as satellite from 'satellite.js';
+
+export const ORBIT_MINUTES = 92;
+const PASS_COARSE_STEP_SECONDS = 30; // coarse sampling step used to detect horizon crossings
+const PASS_REFINE_STEP_SECONDS = 1; // bisection tolerance for rise/culmination/set timing
+const PASS_MAX_BACKTRACK_MINUTES = 20; // how far back to look for the rise of a pass already in progress
+const PASS_VISIBILITY_STEP_SECONDS = 10; // sampling step used to classify lighting along a pass
+const EARTH_RADIUS_KM = 6378.137;
+const EARTH_ROTATION_RAD_S = 7.2921150e-5;
+const SUN_RADIUS_KM = 696000;
+const AU_KM = 149597870.7;
+const SUN_HORIZON_DEG = -0.833; // sun below the horizon: civil twilight or darker counts as observable
+// Intrinsic magnitude at 1000 km range and 90° phase angle for objects with a known brightness.
+const STANDARD_MAGNITUDES = { 25544: -1.8, 48274: -1.3, 20580: 2.2 };
+
+// Computes the great-circle distance in kilometers between two coordinates (Haversine).
+export function haversineDistanceKm(origin, target) {
+  if (!origin || !target) return null;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const R = 6371;
+  const dLat = toRad(target.lat - origin.lat);
+  const dLon = toRad(target.lng - origin.lng);
+  const lat1 = toRad(origin.lat);
+  const lat2 = toRad(target.lat);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.sin(dLon / 2) * Math.sin(dLon / 2) * Math.cos(lat1) * Math.cos(lat2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Normalizes longitude within [-180, 180] to avoid map wrap artifacts.
+export function normalizeLng(lng) {
+  if (!Number.isFinite(lng)) return lng;
+  let normalized = lng % 360;
+  if (normalized > 180) normalized -= 360;
+  if (normalized < -180) normalized += 360;
+  return normalized;
+}
+
+// Ground radius (km) of the area from which an object at altitudeKm is seen above minElevationDeg.
+export function footprintRadiusKm(altitudeKm, minElevationDeg = 0) {
+  if (!Number.isFinite(altitudeKm) || altitudeKm <= 0) return 0;
+  const elevation = (minElevationDeg * Math.PI) / 180;
+  const centralAngle = Math.acos((EARTH_RADIUS_KM * Math.cos(elevation)) / (EARTH_RADIUS_KM + altitudeKm)) - elevation;
+  return Math.max(0, centralAngle) * EARTH_RADIUS_KM;
+}
+
+// Closed outline of [lat, lng] points at a fixed great-circle distance from center. Longitudes stay continuous
+// (they may leave [-180, 180]); this is the line drawn on the globe.
+export function buildFootprintOutline(center, radiusKm, segments = 96) {
+  if (!center || !(radiusKm > 0)) return [];
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const toDeg = (rad) => (rad * 180) / Math.PI;
+  const angular = radiusKm / EARTH_RADIUS_KM;
+  const lat1 = toRad(center.lat);
+  const ring = [];
+
+  for (let i = 0; i <= segments; i += 1) {
+    const bearing = (2 * Math.PI * i) / segments;
+    const lat = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const dLng = Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat)
+    );
+    let lng = center.lng + toDeg(dLng);
+    if (ring.length) {
+      const previous = ring[ring.length - 1][1];
+      lng += Math.round((previous - lng) / 360) * 360;
+    }
+    ring.push([toDeg(lat), lng]);
+  }
+  return ring;
+}
+
+// Fillable version of the outline for the 2D map: rings enclosing a pole are closed along it so Leaflet fills
+// the polar cap rather than the rest of the world.
+export function buildFootprintRing(center, radiusKm, segments = 96) {
+  const ring = buildFootprintOutline(center, radiusKm, segments);
+  if (!ring.length) return ring;
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (Math.abs(last[1] - first[1]) > 180) {
+    const pole = center.lat >= 0 ? 90 : -90;
+    ring.push([pole, last[1]], [pole, first[1]]);
+  }
+  return ring;
+}
+
+// Builds the SGP4 record of a catalog entry from its OMM fields or, otherwise, its two TLE lines.
+export function createSatrec(entry) {
+  const satrec = entry.omm ? satellite.json2satrec(entry.omm) : satellite.twoline2satrec(entry.line1, entry.line2);
+  if (satrec.error) throw new Error(`SGP4 no pudo inicializar ${entry.name} (código ${satrec.error})`);
+  return satrec;
+}
+
+// Propagates a satrec to the given timestamp and returns geodetic position, altitude and speed.
+export function computeSatelliteState(satrec, timeMs) {
+  if (!satrec) return null;
+  const date = new Date(timeMs);
+  const positionAndVelocity = satellite.propagate(satrec, date);
+  if (!positionAndVelocity?.position) return null;
+  const gmst = satellite.gstime(date);
+  const geodetic = satellite.eciToGeodetic(positionAndVelocity.position, gmst);
+  let velocityKmh = null;
+  if (positionAndVelocity.velocity) {
+    const v = positionAndVelocity.velocity;
+    velocityKmh = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) * 3600;
+  }
+  return {
+    lat: satellite.degreesLat(geodetic.latitude),
+    lng: normalizeLng(satellite.degreesLong(geodetic.longitude)),
+    altitudeKm: geodetic.height,
+    timestamp: timeMs,
+    velocityKmh,
+  };
+}
+
+// Position (km) and velocity (km/s) in the inertial TEME frame and in the Earth-fixed frame.
+export function computeStateVectors(satrec, timeMs) {
+  if (!satrec) return null;
+  const date = new Date(timeMs);
+  const positionAndVelocity = satellite.propagate(satrec, date);
+  if (!positionAndVelocity?.position || !positionAndVelocity.velocity) return null;
+  const { position, velocity } = positionAndVelocity;
+  const gmst = satellite.gstime(date);
+  const ecefPosition = satellite.eciToEcf(position, gmst);
+  const rotatedVelocity = satellite.eciToEcf(velocity, gmst);
+  // The Earth-fixed velocity also removes the frame rotation (omega x r).
+  const ecefVelocity = {
+    x: rotatedVelocity.x + EARTH_ROTATION_RAD_S * ecefPosition.y,
+    y: rotatedVelocity.y - EARTH_ROTATION_RAD_S * ecefPosition.x,
+    z: rotatedVelocity.z,
+  };
+  return {
+    eci: { position, velocity },
+    ecef: { position: ecefPosition, velocity: ecefVelocity },
+  };
+}
+
+// Orbit samples every stepMs within a time range: inertial (TEME) and Earth-fixed positions (km) plus the
+// sub-satellite point, for drawing the true orbit in either frame.
+export function sampleOrbit(satrec, { startMs, endMs, stepMs }) {
+  const samples = [];
+  if (!satrec) return samples;
+  for (let t = startMs; t <= endMs; t += stepMs) {
+    const date = new Date(t);
+    const position = satellite.propagate(satrec, date)?.position;
+    if (!position) continue;
+    const gmst = satellite.gstime(date);
+    const geodetic = satellite.eciToGeodetic(position, gmst);
+    samples.push({
+      time: t,
+      eci: position,
+      ecef: satellite.eciToEcf(position, gmst),
+      lat: satellite.degreesLat(geodetic.latitude),
+      lng: normalizeLng(satellite.degreesLong(geodetic.longitude)),
+      altitudeKm: geodetic.height,
+    });
+  }
+  return samples;
+}
+
+// Difference between an observed position (lat/lng/altitudeKm/timestamp) and the SGP4 prediction, split
+// into along-track, cross-track and radial components (km) of the predicted orbit. Samples without altitude
+// are placed at the predicted one, so only the horizontal components are measured and altitudeKm is null.
+export function computeResiduals(satrec, sample) {
+  const vectors = computeStateVectors(satrec, sample.timestamp);
+  if (!vectors) return null;
+  const predicted = computeSatelliteState(satrec, sample.timestamp);
+  const hasAltitude = Number.isFinite(sample.altitudeKm);
+  const { position: r, velocity: v } = vectors.ecef;
+  const observed = satellite.geodeticToEcf({
+    latitude: satellite.degreesToRadians(sample.lat),
+    longitude: satellite.degreesToRadians(sample.lng),
+    height: hasAltitude ? sample.altitudeKm : predicted.altitudeKm,
+  });
+  const delta = { x: observed.x - r.x, y: observed.y - r.y, z: observed.z - r.z };
+  const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+  const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+  const unit = (a) => {
+    const length = Math.hypot(a.x, a.y, a.z);
+    return { x: a.x / length, y: a.y / length, z: a.z / length };
+  };
+  const radial = unit(r);
+  const normal = unit(cross(r, v));
+  const along = cross(normal, radial);
+  return {
+    timestamp: sample.timestamp,
+    alongTrackKm: dot(delta, along),
+    crossTrackKm: dot(delta, normal),
+    altitudeKm: hasAltitude ? sample.altitudeKm - predicted.altitudeKm : null,
+    totalKm: Math.hypot(delta.x, delta.y, delta.z),
+  };
+}
+
+// Classical orbital elements at the TLE epoch plus apogee/perigee altitudes above the equatorial radius.
+export function computeOrbitalElements(satrec) {
+  if (!satrec?.no) return null;
+  const semiMajorAxisKm = satrec.a * EARTH_RADIUS_KM;
+  const periodMinutes = orbitalPeriodMinutes(satrec);
+  return {
+    epochMs: (satrec.jdsatepoch - 2440587.5) * 86400000,
+    inclinationDeg: satellite.radiansToDegrees(satrec.inclo),
+    eccentricity: satrec.ecco,
+    raanDeg: satellite.radiansToDegrees(satrec.nodeo),
+    argPerigeeDeg: satellite.radiansToDegrees(satrec.argpo),
+    meanAnomalyDeg: satellite.radiansToDegrees(satrec.mo),
+    meanMotionRevDay: 1440 / periodMinutes,
+    periodMinutes,
+    semiMajorAxisKm,
+    apogeeKm: semiMajorAxisKm * (1 + satrec.ecco) - EARTH_RADIUS_KM,
+    perigeeKm: semiMajorAxisKm * (1 - satrec.ecco) - EARTH_RADIUS_KM,
+  };
+}
+
+// Sub-satellite point (lat/lng) for a given timestamp.
+export function computeGroundPoint(satrec, timeMs) {
+  const state = computeSatelliteState(satrec, timeMs);
+  return state ? { lat: state.lat, lng: state.lng } : null;
+}
+
+// Orbital period in minutes derived from the satrec mean motion (rad/min).
+export function orbitalPeriodMinutes(satrec) {
+  if (!satrec?.no) return ORBIT_MINUTES;
+  return (2 * Math.PI) / satrec.no;
+}
+
+// Topocentric azimuth/elevation (degrees) and slant range (km) of the satellite seen from a ground observer.
+export function computeLookAngles(satrec, observer, timeMs) {
+  if (!satrec || !observer) return null;
+  const date = new Date(timeMs);
+  const positionAndVelocity = satellite.propagate(satrec, date);
+  if (!positionAndVelocity?.position) return null;
+  const gmst = satellite.gstime(date);
+  const positionEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
+  const observerGd = {
+    latitude: satellite.degreesToRadians(observer.lat),
+    longitude: satellite.degreesToRadians(observer.lng),
+    height: observer.altitudeKm || 0,
+  };
+  const look = satellite.ecfToLookAngles(observerGd, positionEcf);
+  return {
+    azimuth: satellite.radiansToDegrees(look.azimuth),
+    elevation: satellite.radiansToDegrees(look.elevation),
+    rangeKm: look.rangeSat,
+  };
+}
+
+// Bisects the instant where the satellite crosses the elevation mask between two samples.
+function refineHorizonCrossing(satrec, observer, minElevationDeg, startMs, endMs) {
+  const toleranceMs = PASS_REFINE_STEP_SECONDS * 1000;
+  const isAbove = (t) => (computeLookAngles(satrec, observer, t)?.elevation ?? -90) >= minElevationDeg;
+  const startAbove = isAbove(startMs);
+  let lo = startMs;
+  let hi = endMs;
+  while (hi - lo > toleranceMs) {
+    const mid = (lo + hi) / 2;
+    if (isAbove(mid) === startAbove) lo = mid;
+    else hi = mid;
+  }
+  return Math.round(hi);
+}
+
+// Golden-section search for the culmination (maximum elevation) inside a rise/set window.
+function refineCulmination(satrec, observer, riseMs, setMs) {
+  const toleranceMs = PASS_REFINE_STEP_SECONDS * 1000;
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  const elevationAt = (t) => computeLookAngles(satrec, observer, t)?.elevation ?? -90;
+  let lo = riseMs;
+  let hi = setMs;
+  while (hi - lo > toleranceMs) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (elevationAt(a) < elevationAt(b)) lo = a;
+    else hi = b;
+  }
+  return Math.round((lo + hi) / 2);
+}
+
+// Low-precision solar position (Astronomical Almanac) as an ECI vector in kilometers.
+export function computeSunPositionEci(timeMs) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const n = timeMs / 86400000 + 2440587.5 - 2451545.0;
+  const meanLongitude = 280.46 + 0.9856474 * n;
+  const meanAnomaly = toRad(357.528 + 0.9856003 * n);
+  const eclipticLongitude = toRad(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly));
+  const obliquity = toRad(23.439 - 0.0000004 * n);
+  const distanceKm = (1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly)) * AU_KM;
+  return {
+    x: distanceKm * Math.cos(eclipticLongitude),
+    y: distanceKm * Math.cos(obliquity) * Math.sin(eclipticLongitude),
+    z: distanceKm * Math.sin(obliquity) * Math.sin(eclipticLongitude),
+  };
+}
+
+// Classifies a satellite ECI position as sunlit, penumbra or umbra using a conical Earth shadow.
+function computeIllumination(positionEci, sunEci) {
+  const toSun = { x: sunEci.x - positionEci.x, y: sunEci.y - positionEci.y, z: sunEci.z - positionEci.z };
+  const satDistance = Math.hypot(positionEci.x, positionEci.y, positionEci.z);
+  const sunDistance = Math.hypot(toSun.x, toSun.y, toSun.z);
+  const earthSemiAngle = Math.asin(Math.min(1, EARTH_RADIUS_KM / satDistance));
+  const sunSemiAngle = Math.asin(SUN_RADIUS_KM / sunDistance);
+  const cosSeparation = -(positionEci.x * toSun.x + positionEci.y * toSun.y + positionEci.z * toSun.z) / (satDistance * sunDistance);
+  const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation)));
+  if (separation < earthSemiAngle - sunSemiAngle) return 'umbra';
+  if (separation < earthSemiAngle + sunSemiAngle) return 'penumbra';
+  return 'sunlit';
+}
+
+// Sun elevation at the observer and the matching daylight/twilight phase.
+export function computeObserverLighting(observer, timeMs) {
+  const sunEci = computeSunPositionEci(timeMs);
+  const gmst = satellite.gstime(new Date(timeMs));
+  const observerGd = {
+    latitude: satellite.degreesToRadians(observer.lat),
+    longitude: satellite.degreesToRadians(observer.lng),
+    height: observer.altitudeKm || 0,
+  };
+  const look = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(sunEci, gmst));
+  const sunElevation = satellite.radiansToDegrees(look.elevation);
+  let phase = 'night';
+  if (sunElevation > SUN_HORIZON_DEG) phase = 'day';
+  else if (sunElevation > -6) phase = 'civil';
+  else if (sunElevation > -12) phase = 'nautical';
+  else if (sunElevation > -18) phase = 'astronomical';
+  return { sunElevation, phase };
+}
+
+// Geographic point where the Sun is at the zenith (latitude equals the solar declination).
+export function computeSubsolarPoint(timeMs) {
+  const sunEci = computeSunPositionEci(timeMs);
+  const gmst = satellite.gstime(new Date(timeMs));
+  const rightAscension = Math.atan2(sunEci.y, sunEci.x);
+  return {
+    lat: satellite.radiansToDegrees(Math.atan2(sunEci.z, Math.hypot(sunEci.x, sunEci.y))),
+    lng: normalizeLng(satellite.radiansToDegrees(rightAscension - gmst)),
+  };
+}
+
+// Latitude range (degrees) along one meridian where the Sun sits below the given elevation, or null.
+function darkLatitudeRange(declination, hourAngle, sunElevation) {
+  // Along a meridian sin(elevation) = amplitude · cos(lat - center), so daylight is one arc around center.
+  const a = Math.sin(declination);
+  const b = Math.cos(declination) * Math.cos(hourAngle);
+  const amplitude = Math.hypot(a, b);
+  const center = Math.atan2(a, b);
+  const ratio = Math.sin(sunElevation) / amplitude;
+  if (ratio <= -1) return null;
+  if (ratio >= 1) return [-90, 90];
+  const halfWidth = Math.acos(ratio);
+
+  let ranges = [[-Math.PI / 2, Math.PI / 2]];
+  for (let k = -1; k <= 1; k += 1) {
+    const dayStart = center - halfWidth + 2 * Math.PI * k;
+    const dayEnd = center + halfWidth + 2 * Math.PI * k;
+    ranges = ranges.flatMap(([from, to]) =>
+      [
+        [from, Math.min(to, dayStart)],
+        [Math.max(from, dayEnd), to],
+      ].filter(([lo, hi]) => hi > lo)
+    );
+  }
+  if (!ranges.length) return null;
+  return [satellite.radiansToDegrees(ranges[0][0]), satellite.radiansToDegrees(ranges[ranges.length - 1][1])];
+}
+
+// Polygons ([lat, lng] rings inside [-180, 180]) covering the area where the Sun is below sunElevationDeg.
+export function buildNightPolygons(timeMs, sunElevationDeg = SUN_HORIZON_DEG, stepDeg = 2) {
+  const subsolar = computeSubsolarPoint(timeMs);
+  const declination = satellite.degreesToRadians(subsolar.lat);
+  const sunElevation = satellite.degreesToRadians(sunElevationDeg);
+  const polygons = [];
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length > 1) {
+      const upper = run.map(({ lng, range }) => [range[1], lng]);
+      const lower = run.map(({ lng, range }) => [range[0], lng]).reverse();
+      polygons.push([...upper, ...lower]);
+    }
+    run = [];
+  };
+
+  for (let lng = -180; lng <= 180; lng += stepDeg) {
+    const range = darkLatitudeRange(declination, satellite.degreesToRadians(lng - subsolar.lng), sunElevation);
+    if (range) run.push({ lng, range });
+    else closeRun();
+  }
+  closeRun();
+  return polygons;
+}
+
+// Lighting of the satellite and, when an observer is given, naked-eye visibility and estimated magnitude.
+export function computeVisibility(satrec, observer, timeMs) {
+  if (!satrec) return null;
+  const date = new Date(timeMs);
+  const positionAndVelocity = satellite.propagate(satrec, date);
+  if (!positionAndVelocity?.position) return null;
+  const position = positionAndVelocity.position;
+  const sunEci = computeSunPositionEci(timeMs);
+  const illumination = computeIllumination(position, sunEci);
+  if (!observer) return { illumination };
+
+  const gmst = satellite.gstime(date);
+  const observerGd = {
+    latitude: satellite.degreesToRadians(observer.lat),
+    longitude: satellite.degreesToRadians(observer.lng),
+    height: observer.altitudeKm || 0,
+  };
+  const look = satellite.ecfToLookAngles(observerGd, satellite.eciToEcf(position, gmst));
+  const elevation = satellite.radiansToDegrees(look.elevation);
+  const lighting = computeObserverLighting(observer, timeMs);
+  const visible = illumination === 'sunlit' && lighting.phase !== 'day' && elevation > 0;
+
+  // Phase angle at the satellite between the Sun and the observer drives the reflected brightness.
+  const observerEci = satellite.ecfToEci(satellite.geodeticToEcf(observerGd), gmst);
+  const toSun = { x: sunEci.x - position.x, y: sunEci.y - position.y, z: sunEci.z - position.z };
+  const toObserver = { x: observerEci.x - position.x, y: observerEci.y - position.y, z: observerEci.z - position.z };
+  const cosPhase =
+    (toSun.x * toObserver.x + toSun.y * toObserver.y + toSun.z * toObserver.z) /
+    (Math.hypot(toSun.x, toSun.y, toSun.z) * Math.hypot(toObserver.x, toObserver.y, toObserver.z));
+  const phaseAngle = Math.acos(Math.max(-1, Math.min(1, cosPhase)));
+  const standardMagnitude = STANDARD_MAGNITUDES[satrec.satnum?.trim()];
+  const phaseFactor = Math.sin(phaseAngle) + (Math.PI - phaseAngle) * Math.cos(phaseAngle);
+  const magnitude =
+    standardMagnitude != null && illumination !== 'umbra' && phaseFactor > 0
+      ? standardMagnitude + 5 * Math.log10(look.rangeSat / 1000) - 2.5 * Math.log10(phaseFactor)
+      : null;
+
+  return {
+    illumination,
+    elevation,
+    sunElevation: lighting.sunElevation,
+    observerLighting: lighting.phase,
+    visible,
+    magnitude,
+  };
+}
+
+// Full live state: geodetic position, altitude, velocity, lighting and (with an observer) visibility.
+export function computeIssState(satrec, timeMs, observer = null) {
+  const state = computeSatelliteState(satrec, timeMs);
+  if (!state) return null;
+  return { ...state, ...computeStateVectors(satrec, timeMs), ...computeVisibility(satrec, observer, timeMs) };
+}
+
+// Samples a pass to tag its lighting, visible window and brightest estimated magnitude.
+function classifyPassVisibility(satrec, observer, pass) {
+  const stepMs = PASS_VISIBILITY_STEP_SECONDS * 1000;
+  const atCulmination = computeVisibility(satrec, observer, pass.culmination.time);
+  let visibleStart = null;
+  let visibleEnd = null;
+  let magnitude = null;
+
+  for (let t = pass.rise.time; t <= pass.set.time + stepMs; t += stepMs) {
+    const sample = computeVisibility(satrec, observer, Math.min(t, pass.set.time));
+    if (!sample?.visible) continue;
+    if (visibleStart == null) visibleStart = Math.min(t, pass.set.time);
+    visibleEnd = Math.min(t, pass.set.time);
+    if (sample.magnitude != null && (magnitude == null || sample.magnitude < magnitude)) magnitude = sample.magnitude;
+  }
+
+  return {
+    illumination: atCulmination?.illumination ?? null,
+    observerLighting: atCulmination?.observerLighting ?? null,
+    visible: visibleStart != null,
+    visibleWindow: visibleStart != null ? { start: visibleStart, end: visibleEnd } : null,
+    magnitude,
+  };
+}
+
+// Finds observer passes above the elevation mask with rise, culmination and set details.
+export function findPasses(satrec, observer, { startMs, endMs, minElevationDeg, maxPasses = Infinity }) {
+  if (!satrec || !observer) return [];
+  const stepMs = PASS_COARSE_STEP_SECONDS * 1000;
+  const elevationAt = (t) => computeLookAngles(satrec, observer, t)?.elevation ?? -90;
+  const passes = [];
+  let cursor = startMs;
+
+  // A pass already in progress: walk back to its real rise so the window is complete.
+  if (elevationAt(cursor) >= minElevationDeg) {
+    const limit = startMs - PASS_MAX_BACKTRACK_MINUTES * 60 * 1000;
+    while (cursor > limit && elevationAt(cursor - stepMs) >= minElevationDeg) cursor -= stepMs;
+    cursor -= stepMs;
+  }
+
+  let previousAbove = elevationAt(cursor) >= minElevationDeg;
+  let riseMs = previousAbove ? cursor : null;
+
+  for (let t = cursor + stepMs; t <= endMs + stepMs && passes.length < maxPasses; t += stepMs) {
+    const above = elevationAt(t) >= minElevationDeg;
+    if (above && !previousAbove) {
+      riseMs = refineHorizonCrossing(satrec, observer, minElevationDeg, t - stepMs, t);
+    } else if (!above && previousAbove && riseMs != null) {
+      const setMs = refineHorizonCrossing(satrec, observer, minElevationDeg, t - stepMs, t);
+      if (riseMs <= endMs) {
+        const culminationMs = refineCulmination(satrec, observer, riseMs, setMs);
+        const riseLook = computeLookAngles(satrec, observer, riseMs);
+        const culminationLook = computeLookAngles(satrec, observer, culminationMs);
+        const setLook = computeLookAngles(satrec, observer, setMs);
+        const ground = computeSatelliteState(satrec, culminationMs);
+        const pass = {
+          rise: { time: riseMs, azimuth: riseLook?.azimuth },
+          culmination: {
+            time: culminationMs,
+            azimuth: culminationLook?.azimuth,
+            elevation: culminationLook?.elevation,
+            rangeKm: culminationLook?.rangeKm,
+          },
+          set: { time: setMs, azimuth: setLook?.azimuth },
+          maxElevation: culminationLook?.elevation,
+          time: culminationMs,
+          distance: haversineDistanceKm(ground, observer),
+        };
+        passes.push({ ...pass, ...classifyPassVisibility(satrec, observer, pass) });
+      }
+      riseMs = null;
+    }
+    previousAbove = above;
+  }
+
+  return passes;
+}
+
+// Samples the sub-satellite track between two instants; optionally stops once within stopDistanceKm of the target.
+export function buildGroundTrack(satrec, { startMs, endMs, stepMs, target = null, stopDistanceKm = null }) {
+  const path = [];
+  const first = computeSatelliteState(satrec, startMs);
+  if (first) path.push({ lat: first.lat, lng: first.lng, altitudeKm: first.altitudeKm, time: startMs });
+
+  let reachedTarget = false;
+  for (let t = startMs + stepMs; t <= endMs + stepMs; t += stepMs) {
+    const state = computeSatelliteState(satrec, t);
+    if (!state) continue;
+    const distance = haversineDistanceKm(state, target);
+    path.push({ lat: state.lat, lng: state.lng, altitudeKm: state.altitudeKm, time: t, distance });
+    if (distance != null && stopDistanceKm != null && distance <= stopDistanceKm) {
+      reachedTarget = true;
+      break;
+    }
+  }
+
+  const lastPoint = path[path.length - 1];
+  if (!reachedTarget && lastPoint && lastPoint.time < endMs) {
+    const final = computeSatelliteState(satrec, endMs);
+    if (final) path.push({ lat: final.lat, lng: final.lng, altitudeKm: final.altitudeKm, time: endMs });
+  }
+
+  return path;
+}
+
+// Point where the segment between two [lat, lng] points reaches the given longitude.
+function crossingAt([lat1, lng1], [lat2, lng2], lng) {
+  return [lat1 + ((lng - lng1) / (lng2 - lng1)) * (lat2 - lat1), lng];
+}
+
+// Sutherland-Hodgman clip of a ring to the longitude band [-180, 180].
+function clipRingToWorld(ring) {
+  return [
+    ([, lng]) => lng >= -180,
+    ([, lng]) => lng <= 180,
+  ].reduce((points, inside, index) => {
+    const bound = index === 0 ? -180 : 180;
+    const clipped = [];
+    points.forEach((point, i) => {
+      const previous = points[(i + points.length - 1) % points.length];
+      if (inside(point)) {
+        if (!inside(previous)) clipped.push(crossingAt(previous, point, bound));
+        clipped.push(point);
+      } else if (inside(previous)) {
+        clipped.push(crossingAt(previous, point, bound));
+      }
+    });
+    return clipped;
+  }, ring);
+}
+
+// Cuts a [lat, lng] ring with continuous longitudes at the antimeridian: the parts past ±180° reappear on the other
+// side, as a list of rings inside [-180, 180] (the polygon counterpart of splitAtAntimeridian, for noWrap maps).
+export function splitRingAtAntimeridian(ring) {
+  return [-360, 0, 360]
+    .map((shift) => clipRingToWorld(ring.map(([lat, lng]) => [lat, lng + shift])))
+    .filter((part) => part.length > 2);
+}
+
+// Splits [lat, lng] polylines when crossing +/-180° so Leaflet does not draw wraparound lines.
+export function splitAtAntimeridian(coords) {
+  const segments = [];
+  let current = [];
+
+  coords.forEach((point) => {
+    const prev = current[current.length - 1];
+    if (prev && Math.abs(point[1] - prev[1]) > 180) {
+      if (current.length > 1) segments.push(current);
+      current = [point];
+    } else {
+      current.push(point);
+    }
+  });
+
+  if (current.length > 1) segments.push(current);
+  return segments;
+}
@@ -0,0 +1,319 @@
+import * as satellite from 'satellite.js';
+import {
+  buildFootprintOutline,
+  buildFootprintRing,
+  buildGroundTrack,
+  buildNightPolygons,
+  computeGroundPoint,
+  computeIssState,
+  computeLookAngles,
+  computeObserverLighting,
+  computeOrbitalElements,
+  computeResiduals,
+  computeSatelliteState,
+  computeStateVectors,
+  computeSubsolarPoint,
+  computeSunPositionEci,
+  findPasses,
+  footprintRadiusKm,
+  haversineDistanceKm,
+  normalizeLng,
+  orbitalPeriodMinutes,
+  sampleOrbit,
+  splitAtAntimeridian,
+  splitRingAtAntimeridian,
+} from './orbit';
+
+// Vanguard 1 element set from Vallado's SGP4 verification suite (SGP4-VER.TLE).
+const VANGUARD_TLE = [
+  '1 00005U 58002B   00179.78495062  .00000023  00000-0  28098-4 0  4753',
+  '2 00005  34.2682 348.7242 1859667 331.7664  19.3264 10.82419157413667',
+];
+const ISS_TLE = [
+  '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+  '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537',
+];
+const MADRID = { lat: 40.4168, lng: -3.7038 };
+const MINUTE_MS = 60 * 1000;
+
+const epochMs = (satrec) => (satrec.jdsatepoch - 2440587.5) * 86400000;
+
+describe('haversineDistanceKm', () => {
+  test('matches known city-to-city distances', () => {
+    expect(haversineDistanceKm(MADRID, { lat: 41.3874, lng: 2.1686 })).toBeCloseTo(505, -1);
+    expect(haversineDistanceKm({ lat: 51.5074, lng: -0.1278 }, { lat: 48.8566, lng: 2.3522 })).toBeCloseTo(343.5, 0);
+  });
+
+  test('returns null when a point is missing', () => {
+    expect(haversineDistanceKm(null, MADRID)).toBeNull();
+  });
+});
+
+describe('normalizeLng', () => {
+  test('wraps longitudes into [-180, 180]', () => {
+    expect(normalizeLng(190)).toBe(-170);
+    expect(normalizeLng(-190)).toBe(170);
+    expect(normalizeLng(45)).toBe(45);
+    expect(normalizeLng(NaN)).toBeNaN();
+  });
+});
+
+describe('footprint', () => {
+  test('shrinks the line-of-sight radius as the elevation mask rises', () => {
+    expect(footprintRadiusKm(420)).toBeCloseTo(2253, -1);
+    expect(footprintRadiusKm(420, 10)).toBeCloseTo(1390, -1);
+    expect(footprintRadiusKm(420, 90)).toBe(0);
+  });
+
+  test('builds an equidistant ring with continuous longitudes', () => {
+    const center = { lat: 45, lng: 175 };
+    const ring = buildFootprintRing(center, 2000, 36);
+    const distances = ring.map(([lat, lng]) => haversineDistanceKm(center, { lat, lng }));
+    expect(Math.max(...distances) - Math.min(...distances)).toBeLessThan(1);
+    expect(Math.max(...ring.map(([, lng]) => lng))).toBeGreaterThan(180);
+  });
+
+  test('closes rings that enclose a pole along the pole', () => {
+    const ring = buildFootprintRing({ lat: 80, lng: 0 }, 2000, 36);
+    expect(ring.slice(-2).map(([lat]) => lat)).toEqual([90, 90]);
+  });
+
+  test('keeps the globe outline free of pole-closing points', () => {
+    const outline = buildFootprintOutline({ lat: 80, lng: 0 }, 2000, 36);
+    expect(outline).toHaveLength(37);
+    expect(Math.max(...outline.map(([lat]) => lat))).toBeLessThan(90);
+  });
+
+  test('cuts a ring crossing the antimeridian into parts inside the map', () => {
+    const parts = splitRingAtAntimeridian(buildFootprintRing({ lat: 0, lng: 175 }, 2000, 36));
+    expect(parts).toHaveLength(2);
+    parts.flat().forEach(([, lng]) => expect(Math.abs(lng)).toBeLessThanOrEqual(180));
+    expect(parts.some((part) => part.some(([, lng]) => lng < -170))).toBe(true);
+    expect(splitRingAtAntimeridian(buildFootprintRing({ lat: 0, lng: 0 }, 2000, 36))).toHaveLength(1);
+  });
+});
+
+describe('splitAtAntimeridian', () => {
+  test('starts a new segment when a track jumps across +/-180°', () => {
+    const segments = splitAtAntimeridian([
+      [0, 170],
+      [1, 179],
+      [2, -179],
+      [3, -170],
+    ]);
+    expect(segments).toEqual([
+      [
+        [0, 170],
+        [1, 179],
+      ],
+      [
+        [2, -179],
+        [3, -170],
+      ],
+    ]);
+  });
+
+  test('drops single-point fragments', () => {
+    expect(splitAtAntimeridian([[0, 179], [0, -179]])).toEqual([]);
+  });
+});
+
+describe('SGP4 sampling', () => {
+  const vanguard = satellite.twoline2satrec(...VANGUARD_TLE);
+
+  test('reproduces the Vallado reference position 360 min after epoch', () => {
+    const timeMs = epochMs(vanguard) + 360 * MINUTE_MS;
+    // Reference TEME position (km) for tsince = 360 min from tcppver.out.
+    const reference = { x: -7154.03120202, y: -3783.17682504, z: -3536.19412294 };
+    const expected = satellite.eciToGeodetic(reference, satellite.gstime(new Date(timeMs)));
+    const state = computeSatelliteState(vanguard, timeMs);
+
+    expect(state.lat).toBeCloseTo(satellite.degreesLat(expected.latitude), 2);
+    expect(state.lng).toBeCloseTo(normalizeLng(satellite.degreesLong(expected.longitude)), 2);
+    expect(state.altitudeKm).toBeCloseTo(expected.height, 0);
+  });
+
+  test('computeGroundPoint and computeIssState agree with the raw state', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    const timeMs = epochMs(iss) + 30 * MINUTE_MS;
+    const state = computeSatelliteState(iss, timeMs);
+
+    expect(computeGroundPoint(iss, timeMs)).toEqual({ lat: state.lat, lng: state.lng });
+    expect(state.altitudeKm).toBeGreaterThan(300);
+    expect(state.altitudeKm).toBeLessThan(450);
+    expect(state.velocityKmh / 3600).toBeCloseTo(7.7, 1);
+    expect(['sunlit', 'penumbra', 'umbra']).toContain(computeIssState(iss, timeMs).illumination);
+  });
+
+  test('derives the orbital period from the mean motion', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    // satrec.no is the Brouwer (un-Kozai) mean motion, so allow a few seconds of difference.
+    expect(orbitalPeriodMinutes(iss)).toBeCloseTo(1440 / 15.72125391, 1);
+  });
+
+  test('exposes ECI and Earth-fixed state vectors', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    const { eci, ecef } = computeStateVectors(iss, epochMs(iss) + 30 * MINUTE_MS);
+    const norm = (v) => Math.hypot(v.x, v.y, v.z);
+
+    expect(norm(ecef.position)).toBeCloseTo(norm(eci.position), 6);
+    // A prograde orbit moves slower relative to the rotating Earth than in inertial space.
+    expect(norm(ecef.velocity)).toBeLessThan(norm(eci.velocity));
+    expect(norm(eci.velocity) - norm(ecef.velocity)).toBeLessThan(0.5);
+  });
+
+  test('splits telemetry residuals into along-track, cross-track and altitude', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    const timeMs = epochMs(iss) + 30 * MINUTE_MS;
+    const state = computeSatelliteState(iss, timeMs);
+    const exact = computeResiduals(iss, state);
+    expect(exact.totalKm).toBeLessThan(0.01);
+
+    // Telemetry reported 10 s late sits roughly 10 s of flight behind the prediction along the track.
+    const lagging = computeResiduals(iss, { ...computeSatelliteState(iss, timeMs - 10000), timestamp: timeMs });
+    expect(lagging.alongTrackKm).toBeCloseTo(-(state.velocityKmh / 3600) * 10, -1);
+    expect(Math.abs(lagging.crossTrackKm)).toBeLessThan(1);
+    expect(Math.abs(lagging.altitudeKm)).toBeLessThan(1);
+
+    const raised = computeResiduals(iss, { ...state, altitudeKm: state.altitudeKm + 2 });
+    expect(raised.altitudeKm).toBeCloseTo(2, 6);
+    expect(Math.abs(raised.alongTrackKm)).toBeLessThan(0.1);
+  });
+
+  test('measures horizontal residuals of samples without altitude', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    const timeMs = epochMs(iss) + 30 * MINUTE_MS;
+    const { lat, lng } = computeSatelliteState(iss, timeMs - 10000);
+    const lagging = computeResiduals(iss, { lat, lng, timestamp: timeMs });
+    const withAltitude = computeResiduals(iss, { ...computeSatelliteState(iss, timeMs - 10000), timestamp: timeMs });
+
+    expect(lagging.altitudeKm).toBeNull();
+    expect(lagging.alongTrackKm).toBeCloseTo(withAltitude.alongTrackKm, 0);
+    expect(Math.abs(lagging.crossTrackKm)).toBeLessThan(1);
+    expect(lagging.totalKm).toBeCloseTo(Math.hypot(lagging.alongTrackKm, lagging.crossTrackKm), 0);
+  });
+
+  test('derives orbital elements, apogee and perigee from the TLE', () => {
+    const elements = computeOrbitalElements(vanguard);
+
+    expect(elements.inclinationDeg).toBeCloseTo(34.2682, 3);
+    expect(elements.eccentricity).toBeCloseTo(0.1859667, 6);
+    expect(elements.apogeeKm).toBeCloseTo(vanguard.alta * 6378.137, 3);
+    expect(elements.perigeeKm).toBeCloseTo(vanguard.altp * 6378.137, 3);
+    expect(elements.epochMs).toBe(epochMs(vanguard));
+  });
+
+  test('samples the inclined, eccentric inertial orbit over one period', () => {
+    const startMs = epochMs(vanguard);
+    const periodMs = orbitalPeriodMinutes(vanguard) * MINUTE_MS;
+    const samples = sampleOrbit(vanguard, { startMs, endMs: startMs + periodMs, stepMs: 30 * 1000 });
+    const norm = (v) => Math.hypot(v.x, v.y, v.z);
+    const radii = samples.map((sample) => norm(sample.eci));
+    const maxPlaneSine = Math.max(...samples.map((sample) => Math.abs(sample.eci.z) / norm(sample.eci)));
+
+    expect(samples.length).toBeGreaterThan(200);
+    expect(Math.asin(maxPlaneSine) * (180 / Math.PI)).toBeCloseTo(34.27, 0);
+    expect(Math.max(...radii) / Math.min(...radii)).toBeCloseTo((1 + 0.1859667) / (1 - 0.1859667), 1);
+    samples.forEach((sample) => expect(norm(sample.ecef)).toBeCloseTo(norm(sample.eci), 6));
+
+    // After one period the inertial orbit closes on itself while the Earth-fixed track has moved west.
+    const first = samples[0];
+    const last = sampleOrbit(vanguard, { startMs: startMs + periodMs, endMs: startMs + periodMs, stepMs: 1 })[0];
+    const gap = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    expect(gap(first.eci, last.eci)).toBeLessThan(100);
+    expect(gap(first.ecef, last.ecef)).toBeGreaterThan(1000);
+  });
+});
+
+describe('solar model', () => {
+  const declinationDeg = (timeMs) => {
+    const sun = computeSunPositionEci(timeMs);
+    return (Math.asin(sun.z / Math.hypot(sun.x, sun.y, sun.z)) * 180) / Math.PI;
+  };
+
+  test('places the Sun on the equator at the March equinox and at the tropic in June', () => {
+    expect(declinationDeg(Date.UTC(2024, 2, 20, 3, 6))).toBeCloseTo(0, 1);
+    expect(declinationDeg(Date.UTC(2024, 5, 20, 20, 51))).toBeCloseTo(23.44, 1);
+  });
+
+  test('classifies daylight and night at the observer', () => {
+    expect(computeObserverLighting(MADRID, Date.UTC(2024, 0, 1, 12, 15)).phase).toBe('day');
+    expect(computeObserverLighting(MADRID, Date.UTC(2024, 0, 1, 23, 0)).phase).toBe('night');
+  });
+
+  test('puts the subsolar point near the Greenwich meridian at noon UTC', () => {
+    const subsolar = computeSubsolarPoint(Date.UTC(2024, 5, 20, 12, 0));
+    expect(subsolar.lat).toBeCloseTo(23.44, 0);
+    expect(Math.abs(subsolar.lng)).toBeLessThan(5);
+  });
+
+  test('builds night polygons around the antisolar meridian that shrink with deeper twilight', () => {
+    const timeMs = Date.UTC(2024, 2, 20, 12, 0);
+    const spanAtEquator = (polygons) =>
+      polygons.reduce((total, ring) => {
+        const lngs = ring.map(([, lng]) => lng);
+        return total + Math.max(...lngs) - Math.min(...lngs);
+      }, 0);
+    const night = buildNightPolygons(timeMs);
+    const astronomical = buildNightPolygons(timeMs, -18);
+    expect(night.length).toBeGreaterThan(0);
+    // At the equinox the antisolar meridian (~180°) is dark from pole to pole.
+    const edge = night.find((ring) => ring.some(([, lng]) => lng === 180));
+    const latitudes = edge.filter(([, lng]) => lng === 180).map(([lat]) => lat);
+    expect(Math.min(...latitudes)).toBeLessThan(-80);
+    expect(Math.max(...latitudes)).toBeGreaterThan(80);
+    expect(spanAtEquator(astronomical)).toBeLessThan(spanAtEquator(night));
+  });
+});
+
+describe('findPasses', () => {
+  const iss = satellite.twoline2satrec(...ISS_TLE);
+  const startMs = epochMs(iss);
+  const passes = findPasses(iss, MADRID, { startMs, endMs: startMs + 24 * 60 * MINUTE_MS, minElevationDeg: 10 });
+
+  test('finds ordered rise, culmination and set events above the mask', () => {
+    expect(passes.length).toBeGreaterThan(2);
+    passes.forEach((pass) => {
+      expect(pass.rise.time).toBeLessThan(pass.culmination.time);
+      expect(pass.culmination.time).toBeLessThan(pass.set.time);
+      expect(pass.maxElevation).toBeGreaterThanOrEqual(10);
+      expect(computeLookAngles(iss, MADRID, pass.rise.time).elevation).toBeCloseTo(10, 0);
+      expect(computeLookAngles(iss, MADRID, pass.set.time).elevation).toBeCloseTo(10, 0);
+    });
+  });
+
+  test('culmination is the elevation peak of the pass', () => {
+    const [pass] = passes;
+    const before = computeLookAngles(iss, MADRID, pass.culmination.time - 20 * 1000).elevation;
+    const after = computeLookAngles(iss, MADRID, pass.culmination.time + 20 * 1000).elevation;
+    expect(pass.maxElevation).toBeGreaterThan(before);
+    expect(pass.maxElevation).toBeGreaterThan(after);
+  });
+
+  test('respects maxPasses', () => {
+    expect(findPasses(iss, MADRID, { startMs, endMs: startMs + 24 * 60 * MINUTE_MS, minElevationDeg: 10, maxPasses: 1 })).toEqual([
+      passes[0],
+    ]);
+  });
+});
+
+describe('buildGroundTrack', () => {
+  test('samples up to the end instant and stops near the target', () => {
+    const iss = satellite.twoline2satrec(...ISS_TLE);
+    const startMs = epochMs(iss);
+    const path = buildGroundTrack(iss, { startMs, endMs: startMs + 10 * MINUTE_MS, stepMs: 60 * 1000 });
+    expect(path[0].time).toBe(startMs);
+    expect(path[path.length - 1].time).toBeGreaterThanOrEqual(startMs + 10 * MINUTE_MS);
+
+    const target = computeGroundPoint(iss, startMs + 5 * MINUTE_MS);
+    const stopped = buildGroundTrack(iss, {
+      startMs,
+      endMs: startMs + 60 * MINUTE_MS,
+      stepMs: 60 * 1000,
+      target,
+      stopDistanceKm: 1,
+    });
+    expect(stopped[stopped.length - 1].time).toBe(startMs + 5 * MINUTE_MS);
+    expect(stopped[stopped.length - 1].distance).toBeLessThanOrEqual(1);
+  });
+});
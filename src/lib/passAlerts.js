@@ -0,0 +1,110 @@
+// Pass alerts: which reminders to raise before a predicted pass, their persisted settings and how they are delivered
+// (Notifications API plus a short Web Audio tone).
+
+const STORAGE_KEY = 'iss-tracker:pass-alerts';
+
+export const ALERT_LEAD_OPTIONS = [30, 10, 5, 1];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  leadMinutes: [10, 1],
+  atCulmination: true,
+  sound: true,
+  notifications: false,
+};
+
+// Returns the stored settings merged over the defaults.
+export function loadAlertSettings() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return parsed && typeof parsed === 'object' ? { ...DEFAULT_ALERT_SETTINGS, ...parsed } : DEFAULT_ALERT_SETTINGS;
+  } catch (err) {
+    return DEFAULT_ALERT_SETTINGS;
+  }
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Storage disabled: settings last for the session.
+  }
+}
+
+// Alerts still ahead of nowMs for one pass: N minutes before rise and at culmination, sorted by time.
+export function buildPassAlerts(pass, settings, { satelliteName = 'ISS', targetName = 'el objetivo', nowMs = Date.now() } = {}) {
+  if (!pass || !settings?.enabled) return [];
+  const title = `${satelliteName} sobre ${targetName}`;
+  const elevation = Number.isFinite(pass.maxElevation) ? ` • elev. máx. ${pass.maxElevation.toFixed(0)}°` : '';
+  const riseClock = new Date(pass.rise.time).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+  const alerts = settings.leadMinutes.map((minutes) => ({
+    id: `${pass.rise.time}-lead-${minutes}`,
+    time: pass.rise.time - minutes * 60 * 1000,
+    title,
+    body: `Aparece en ${minutes} min (${riseClock})${elevation}`,
+  }));
+  if (settings.atCulmination) {
+    const range = Number.isFinite(pass.culmination?.rangeKm) ? ` a ${pass.culmination.rangeKm.toFixed(0)} km` : '';
+    alerts.push({
+      id: `${pass.rise.time}-culmination`,
+      time: pass.culmination.time,
+      title,
+      body: `Máximo acercamiento ahora${range}${elevation}`,
+    });
+  }
+  return alerts.filter((alert) => alert.time > nowMs).sort((a, b) => a.time - b.time);
+}
+
+// 'granted' | 'denied' | 'default', or 'unsupported' when the browser has no Notifications API.
+export function notificationPermission() {
+  return typeof window.Notification === 'undefined' ? 'unsupported' : window.Notification.permission;
+}
+
+// Asks for permission to notify. Older Safari only implements the callback form (the call returns undefined) and
+// the promise form may reject; a failed request is reported as 'denied'.
+export async function requestNotificationPermission() {
+  if (typeof window.Notification === 'undefined') return 'unsupported';
+  try {
+    return await new Promise((resolve, reject) => {
+      const result = window.Notification.requestPermission(resolve);
+      if (result && typeof result.then === 'function') result.then(resolve, reject);
+    });
+  } catch (err) {
+    return 'denied';
+  }
+}
+
+// Two short beeps through Web Audio; silently does nothing when audio is unavailable or blocked.
+export function playAlertTone() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  try {
+    const context = new AudioContext();
+    [0, 0.35].forEach((offset) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.0001, context.currentTime + offset);
+      gain.gain.exponentialRampToValueAtTime(0.25, context.currentTime + offset + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, context.currentTime + offset + 0.25);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.3);
+    });
+    setTimeout(() => context.close(), 1000);
+  } catch (err) {
+    // Autoplay policy or audio device errors: the visual alert still shows.
+  }
+}
+
+// Delivers one alert through the channels enabled in the settings.
+export function deliverPassAlert(alert, settings) {
+  if (settings.notifications && notificationPermission() === 'granted') {
+    try {
+      new window.Notification(alert.title, { body: alert.body, tag: alert.id });
+    } catch (err) {
+      // Some mobile browsers only allow notifications from a service worker registration.
+    }
+  }
+  if (settings.sound) playAlertTone();
+}
@@ -0,0 +1,58 @@
+import { buildPassAlerts, DEFAULT_ALERT_SETTINGS, requestNotificationPermission } from './passAlerts';
+
+const RISE = Date.UTC(2024, 5, 1, 21, 0);
+const PASS = {
+  rise: { time: RISE },
+  culmination: { time: RISE + 5 * 60 * 1000, rangeKm: 612.4 },
+  set: { time: RISE + 10 * 60 * 1000 },
+  maxElevation: 47.2,
+};
+
+describe('buildPassAlerts', () => {
+  test('schedules lead-time reminders and the culmination alert in order', () => {
+    const alerts = buildPassAlerts(PASS, DEFAULT_ALERT_SETTINGS, { targetName: 'Madrid', nowMs: RISE - 60 * 60 * 1000 });
+    expect(alerts.map((alert) => alert.time)).toEqual([RISE - 10 * 60 * 1000, RISE - 60 * 1000, PASS.culmination.time]);
+    expect(alerts[0].title).toBe('ISS sobre Madrid');
+    expect(alerts[0].body).toMatch(/^Aparece en 10 min .*elev\. máx\. 47°$/);
+    expect(alerts[2].body).toMatch(/a 612 km/);
+  });
+
+  test('drops alerts already in the past and honors the settings', () => {
+    const nowMs = RISE - 5 * 60 * 1000;
+    expect(buildPassAlerts(PASS, DEFAULT_ALERT_SETTINGS, { nowMs })).toHaveLength(2);
+    expect(buildPassAlerts(PASS, { ...DEFAULT_ALERT_SETTINGS, atCulmination: false }, { nowMs })).toHaveLength(1);
+    expect(buildPassAlerts(PASS, { ...DEFAULT_ALERT_SETTINGS, enabled: false }, { nowMs })).toEqual([]);
+    expect(buildPassAlerts(null, DEFAULT_ALERT_SETTINGS, { nowMs })).toEqual([]);
+  });
+});
+
+describe('requestNotificationPermission', () => {
+  const original = window.Notification;
+  afterEach(() => {
+    window.Notification = original;
+  });
+
+  test('accepts the promise and the legacy callback forms', async () => {
+    window.Notification = { requestPermission: () => Promise.resolve('granted') };
+    await expect(requestNotificationPermission()).resolves.toBe('granted');
+
+    window.Notification = {
+      requestPermission: (callback) => {
+        setTimeout(() => callback('denied'), 0);
+      },
+    };
+    await expect(requestNotificationPermission()).resolves.toBe('denied');
+  });
+
+  test('reports a failed request as blocked', async () => {
+    window.Notification = { requestPermission: () => Promise.reject(new Error('not allowed')) };
+    await expect(requestNotificationPermission()).resolves.toBe('denied');
+
+    window.Notification = {
+      requestPermission: () => {
+        throw new TypeError('Illegal invocation');
+      },
+    };
+    await expect(requestNotificationPermission()).resolves.toBe('denied');
+  });
+});
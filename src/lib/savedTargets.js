@@ -0,0 +1,54 @@
+// Named ground targets persisted in localStorage: [{ id, name, lat, lng, thresholdKm }] plus the active one.
+
+const STORAGE_KEY = 'iss-tracker:targets';
+
+// Returns { targets, activeId } (empty list when nothing was stored or storage is blocked).
+export function loadSavedTargets() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    const targets = Array.isArray(parsed?.targets)
+      ? parsed.targets.filter((target) => target?.id && Number.isFinite(target.lat) && Number.isFinite(target.lng))
+      : [];
+    const activeId = targets.some((target) => target.id === parsed?.activeId) ? parsed.activeId : null;
+    return { targets, activeId };
+  } catch (err) {
+    return { targets: [], activeId: null };
+  }
+}
+
+// Stores the whole list and the active target id.
+export function saveTargets(targets, activeId) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ targets, activeId }));
+  } catch (err) {
+    // Storage disabled: targets simply last for the session.
+  }
+}
+
+// New target; a short unique id is generated unless a fixed one is given.
+export function createTarget({ id, name, lat, lng, thresholdKm }) {
+  return {
+    id: id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    lat,
+    lng,
+    thresholdKm,
+  };
+}
+
+// Activates the saved target at the linked coordinates (adding it when missing); a linked threshold overrides the stored one.
+export function withLinkedTarget(targets, link, thresholdKm, defaultThresholdKm) {
+  const matches = (target) => Math.abs(target.lat - link.lat) < 1e-4 && Math.abs(target.lng - link.lng) < 1e-4;
+  const existing = targets.find(matches);
+  if (existing) {
+    const next = thresholdKm != null ? targets.map((target) => (target === existing ? { ...target, thresholdKm } : target)) : targets;
+    return { targets: next, activeId: existing.id };
+  }
+  const target = createTarget({
+    name: link.label || `${link.lat.toFixed(2)}°, ${link.lng.toFixed(2)}°`,
+    lat: link.lat,
+    lng: link.lng,
+    thresholdKm: thresholdKm ?? defaultThresholdKm,
+  });
+  return { targets: [...targets, target], activeId: target.id };
+}
@@ -0,0 +1,66 @@
+// Simulation clock helpers: playback rate (simulated ms per real ms, negative = reverse) on a logarithmic slider,
+// step sizes and the timeline window around the simulated instant.
+
+export const SIM_RATE_MIN = 1;
+export const SIM_RATE_MAX = 5000;
+export const SIM_DEFAULT_RATE = 120; // 1 real second represents 2 simulated minutes
+
+// Instants the clock may be set to: from Sputnik 1 to the end of the century (SGP4 is meaningless far beyond).
+export const SIM_TIME_MIN_MS = Date.UTC(1957, 9, 4);
+export const SIM_TIME_MAX_MS = Date.UTC(2100, 0, 1);
+
+export const SIM_STEP_OPTIONS = [
+  { ms: 10 * 1000, label: '10 s' },
+  { ms: 60 * 1000, label: '1 min' },
+  { ms: 10 * 60 * 1000, label: '10 min' },
+  { ms: 60 * 60 * 1000, label: '1 h' },
+  { ms: 24 * 60 * 60 * 1000, label: '1 día' },
+];
+
+// Timeline scrubber span: one day before and three after its start anchor.
+export const TIMELINE_BEFORE_MS = 24 * 60 * 60 * 1000;
+export const TIMELINE_AFTER_MS = 3 * 24 * 60 * 60 * 1000;
+
+const SLIDER_STEPS = 1000;
+const LOG_RANGE = Math.log10(SIM_RATE_MAX / SIM_RATE_MIN);
+
+// Slider position (0-1000) for a rate magnitude.
+export function rateToSlider(rate) {
+  const magnitude = Math.min(SIM_RATE_MAX, Math.max(SIM_RATE_MIN, Math.abs(rate)));
+  return Math.round((Math.log10(magnitude / SIM_RATE_MIN) / LOG_RANGE) * SLIDER_STEPS);
+}
+
+// Rate magnitude for a slider position, rounded to two significant digits (1, 2, ... 120, 130 ... 4900, 5000).
+export function sliderToRate(value) {
+  const raw = SIM_RATE_MIN * 10 ** ((Number(value) / SLIDER_STEPS) * LOG_RANGE);
+  const magnitude = 10 ** Math.max(0, Math.floor(Math.log10(raw)) - 1);
+  return Math.min(SIM_RATE_MAX, Math.max(SIM_RATE_MIN, Math.round(raw / magnitude) * magnitude));
+}
+
+// Rate with its magnitude clamped to SIM_RATE_MIN..SIM_RATE_MAX, keeping the direction.
+export function clampRate(rate) {
+  return Math.sign(rate) * Math.min(SIM_RATE_MAX, Math.max(SIM_RATE_MIN, Math.abs(rate)));
+}
+
+// Instant clamped to SIM_TIME_MIN_MS..SIM_TIME_MAX_MS.
+export function clampSimTime(timeMs) {
+  return Math.min(SIM_TIME_MAX_MS, Math.max(SIM_TIME_MIN_MS, timeMs));
+}
+
+// Whether playback at this rate cannot go any further (the instant sits on the bound it is heading to).
+export function reachedSimTimeBound(timeMs, rate) {
+  return (rate > 0 && timeMs >= SIM_TIME_MAX_MS) || (rate < 0 && timeMs <= SIM_TIME_MIN_MS);
+}
+
+// "x120", "x2500" or "−x60" for reverse playback.
+export function formatRate(rate) {
+  return `${rate < 0 ? '−' : ''}x${Math.abs(rate)}`;
+}
+
+// Start of the timeline window: kept while the instant stays inside, re-anchored around it otherwise.
+export function timelineStartFor(timeMs, currentStartMs) {
+  if (currentStartMs != null && timeMs >= currentStartMs && timeMs <= currentStartMs + TIMELINE_BEFORE_MS + TIMELINE_AFTER_MS) {
+    return currentStartMs;
+  }
+  return timeMs - TIMELINE_BEFORE_MS;
+}
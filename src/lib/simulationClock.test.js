@@ -0,0 +1,42 @@
+import {
+  clampSimTime,
+  formatRate,
+  rateToSlider,
+  reachedSimTimeBound,
+  SIM_TIME_MAX_MS,
+  SIM_TIME_MIN_MS,
+  sliderToRate,
+  TIMELINE_BEFORE_MS,
+  timelineStartFor,
+} from './simulationClock';
+
+describe('simulation clock', () => {
+  test('maps the speed slider logarithmically between 1x and 5000x', () => {
+    expect(sliderToRate(0)).toBe(1);
+    expect(sliderToRate(1000)).toBe(5000);
+    expect(rateToSlider(-5000)).toBe(1000);
+    [1, 7, 120, 960, 2500].forEach((rate) => {
+      expect(sliderToRate(rateToSlider(rate))).toBe(rate);
+    });
+  });
+
+  test('stops playback only at the bound it is heading to', () => {
+    expect(clampSimTime(Date.UTC(2200, 0, 1))).toBe(SIM_TIME_MAX_MS);
+    expect(reachedSimTimeBound(SIM_TIME_MAX_MS, 120)).toBe(true);
+    expect(reachedSimTimeBound(SIM_TIME_MAX_MS, -120)).toBe(false);
+    expect(reachedSimTimeBound(SIM_TIME_MIN_MS, -120)).toBe(true);
+    expect(reachedSimTimeBound(Date.UTC(2024, 0, 1), 5000)).toBe(false);
+  });
+
+  test('labels reverse playback', () => {
+    expect(formatRate(120)).toBe('x120');
+    expect(formatRate(-60)).toBe('−x60');
+  });
+
+  test('keeps the timeline window until the instant leaves it', () => {
+    const start = Date.UTC(2024, 0, 1);
+    expect(timelineStartFor(start + 3600000, start)).toBe(start);
+    const later = Date.UTC(2030, 5, 1);
+    expect(timelineStartFor(later, start)).toBe(later - TIMELINE_BEFORE_MS);
+  });
+});
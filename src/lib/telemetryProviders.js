@@ -0,0 +1,174 @@
+// Telemetry providers. Each one is a plain object { id, label, supports(noradId), fetchPosition(context) }
+// (plus requiresElements when it needs the active satrec) whose fetchPosition({ noradId, satrec, signal }) resolves to a normalized sample:
+// { lat, lng, altitudeKm, timestamp (ms), velocityKmh } with null for the values a source does not publish.
+import { computeSatelliteState } from './orbit';
+
+const ISS_NORAD_ID = '25544';
+
+export const DEFAULT_FIELD_MAPPING = {
+  lat: 'latitude',
+  lng: 'longitude',
+  altitudeKm: 'altitude',
+  timestamp: 'timestamp',
+  velocityKmh: 'velocity',
+};
+
+// Field names of samples already in the app's normalized shape (e.g. recorded replay files).
+const NORMALIZED_FIELD_MAPPING = {
+  lat: 'lat',
+  lng: 'lng',
+  altitudeKm: 'altitudeKm',
+  timestamp: 'timestamp',
+  velocityKmh: 'velocityKmh',
+};
+
+export const TELEMETRY_PROVIDER_TYPES = [
+  { id: 'wheretheiss', label: 'WhereTheISS.at' },
+  { id: 'opennotify', label: 'Open Notify', httpOnly: true }, // the API has no working HTTPS endpoint
+  { id: 'json', label: 'JSON genérico' },
+  { id: 'replay', label: 'Reproducir archivo' },
+  { id: 'mock', label: 'Simulado local (sin red)' },
+];
+
+// Provider types usable from a page served over the given protocol: HTTP-only APIs are blocked as mixed content
+// on HTTPS pages, so they are not offered there.
+export function availableProviderTypes(protocol = window.location.protocol) {
+  return TELEMETRY_PROVIDER_TYPES.filter((type) => !(type.httpOnly && protocol === 'https:'));
+}
+
+// Reads a dotted path such as "iss_position.latitude" from a JSON document.
+function readPath(data, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Number or null for missing/non-numeric values (APIs often send numbers as strings).
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Applies a field mapping to a raw document; timestamps below 1e12 are treated as Unix seconds.
+export function mapTelemetry(data, mapping = DEFAULT_FIELD_MAPPING) {
+  const lat = toNumber(readPath(data, mapping.lat));
+  const lng = toNumber(readPath(data, mapping.lng));
+  if (lat == null || lng == null) throw new Error('La respuesta no incluye latitud/longitud');
+  const rawTimestamp = readPath(data, mapping.timestamp);
+  let timestamp = toNumber(rawTimestamp);
+  if (timestamp == null && typeof rawTimestamp === 'string') timestamp = Date.parse(rawTimestamp) || null;
+  else if (timestamp != null && timestamp < 1e12) timestamp *= 1000;
+  return {
+    lat,
+    lng,
+    altitudeKm: toNumber(readPath(data, mapping.altitudeKm)),
+    timestamp: timestamp ?? Date.now(),
+    velocityKmh: toNumber(readPath(data, mapping.velocityKmh)),
+  };
+}
+
+// GETs a JSON document honoring the abort signal.
+async function fetchJson(url, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`Respuesta ${response.status} de ${new URL(url).host}`);
+  return response.json();
+}
+
+// WhereTheISS.at: ISS only, with altitude and velocity.
+export function createWhereTheIssProvider() {
+  return {
+    id: 'wheretheiss',
+    label: 'WhereTheISS.at',
+    supports: (noradId) => noradId === ISS_NORAD_ID,
+    fetchPosition: async ({ noradId, signal }) =>
+      mapTelemetry(await fetchJson(`https://api.wheretheiss.at/v1/satellites/${noradId}`, signal)),
+  };
+}
+
+// Open Notify: ISS only, latitude/longitude as strings and no altitude or velocity.
+export function createOpenNotifyProvider() {
+  return {
+    id: 'opennotify',
+    label: 'Open Notify',
+    supports: (noradId) => noradId === ISS_NORAD_ID,
+    fetchPosition: async ({ signal }) =>
+      mapTelemetry(await fetchJson('http://api.open-notify.org/iss-now.json', signal), {
+        lat: 'iss_position.latitude',
+        lng: 'iss_position.longitude',
+        timestamp: 'timestamp',
+      }),
+  };
+}
+
+// Any JSON endpoint; "{noradId}" in the URL is replaced and fields are read through the mapping.
+export function createJsonMappingProvider({ url, mapping = DEFAULT_FIELD_MAPPING }) {
+  return {
+    id: 'json',
+    label: 'JSON genérico',
+    supports: () => Boolean(url),
+    fetchPosition: async ({ noradId, signal }) => mapTelemetry(await fetchJson(url.replace('{noradId}', noradId), signal), mapping),
+  };
+}
+
+// Replays recorded samples (normalized or WhereTheISS-shaped) in order, looping at the end.
+export function createReplayProvider({ samples = [], noradId = ISS_NORAD_ID }) {
+  const normalized = samples
+    .map((sample) => {
+      try {
+        return mapTelemetry(sample, 'lat' in sample ? NORMALIZED_FIELD_MAPPING : DEFAULT_FIELD_MAPPING);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  let cursor = 0;
+  return {
+    id: 'replay',
+    label: 'Reproducir archivo',
+    supports: (id) => normalized.length > 0 && id === noradId,
+    fetchPosition: async () => {
+      if (!normalized.length) throw new Error('El archivo de reproducción no tiene muestras válidas');
+      const sample = normalized[cursor % normalized.length];
+      cursor += 1;
+      return sample;
+    },
+  };
+}
+
+// Offline provider: answers with the SGP4 state of the active element set, so the app runs without network.
+export function createMockProvider() {
+  return {
+    id: 'mock',
+    label: 'Simulado local (sin red)',
+    requiresElements: true,
+    supports: () => true,
+    fetchPosition: async ({ satrec }) => {
+      const state = computeSatelliteState(satrec, Date.now());
+      if (!state) throw new Error('Sin elementos orbitales para simular la telemetría');
+      return {
+        lat: state.lat,
+        lng: state.lng,
+        altitudeKm: state.altitudeKm,
+        timestamp: Math.floor(state.timestamp / 1000) * 1000,
+        velocityKmh: state.velocityKmh,
+      };
+    },
+  };
+}
+
+// Builds the provider described by a runtime configuration { type, url, mapping, samples, noradId }.
+export function createTelemetryProvider(config = {}) {
+  switch (config.type) {
+    case 'opennotify':
+      return createOpenNotifyProvider();
+    case 'json':
+      return createJsonMappingProvider(config);
+    case 'replay':
+      return createReplayProvider(config);
+    case 'mock':
+      return createMockProvider();
+    default:
+      return createWhereTheIssProvider();
+  }
+}
@@ -0,0 +1,94 @@
+import * as satellite from 'satellite.js';
+import { availableProviderTypes, createTelemetryProvider, mapTelemetry } from './telemetryProviders';
+
+const ISS_TLE = [
+  '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+  '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537',
+];
+
+// Resolves fetch with the given JSON body.
+const respondWith = (body) => jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(body) }));
+
+afterEach(() => {
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('mapTelemetry', () => {
+  test('reads dotted paths, numeric strings and Unix-second timestamps', () => {
+    expect(mapTelemetry({ pos: { la: '10.5', lo: '-20' }, t: 1700000000 }, { lat: 'pos.la', lng: 'pos.lo', timestamp: 't' })).toEqual({
+      lat: 10.5,
+      lng: -20,
+      altitudeKm: null,
+      timestamp: 1700000000000,
+      velocityKmh: null,
+    });
+    expect(() => mapTelemetry({ latitude: 1 })).toThrow(/latitud/);
+  });
+});
+
+describe('availableProviderTypes', () => {
+  test('hides HTTP-only sources from pages served over HTTPS', () => {
+    expect(availableProviderTypes('https:').map((type) => type.id)).not.toContain('opennotify');
+    expect(availableProviderTypes('http:').map((type) => type.id)).toContain('opennotify');
+    expect(availableProviderTypes('https:').map((type) => type.id)).toContain('wheretheiss');
+  });
+});
+
+describe('createTelemetryProvider', () => {
+  test('WhereTheISS maps the API shape and only serves the ISS', async () => {
+    global.fetch = respondWith({ latitude: 1, longitude: 2, altitude: 420, velocity: 27600, timestamp: 1700000000 });
+    const provider = createTelemetryProvider({ type: 'wheretheiss' });
+
+    expect(provider.supports('25544')).toBe(true);
+    expect(provider.supports('20580')).toBe(false);
+    await expect(provider.fetchPosition({ noradId: '25544' })).resolves.toEqual({
+      lat: 1,
+      lng: 2,
+      altitudeKm: 420,
+      timestamp: 1700000000000,
+      velocityKmh: 27600,
+    });
+    expect(global.fetch.mock.calls[0][0]).toBe('https://api.wheretheiss.at/v1/satellites/25544');
+  });
+
+  test('Open Notify and the generic JSON provider use their own field mappings', async () => {
+    global.fetch = respondWith({ iss_position: { latitude: '-5.1', longitude: '33.2' }, timestamp: 1700000000 });
+    await expect(createTelemetryProvider({ type: 'opennotify' }).fetchPosition({ noradId: '25544' })).resolves.toMatchObject({
+      lat: -5.1,
+      lng: 33.2,
+      altitudeKm: null,
+    });
+
+    global.fetch = respondWith({ data: { y: 3, x: 4, when: '2024-01-01T00:00:00Z' } });
+    const generic = createTelemetryProvider({
+      type: 'json',
+      url: 'http://localhost:4010/sat/{noradId}',
+      mapping: { lat: 'data.y', lng: 'data.x', timestamp: 'data.when' },
+    });
+    await expect(generic.fetchPosition({ noradId: '20580' })).resolves.toMatchObject({ lat: 3, lng: 4, timestamp: Date.UTC(2024, 0, 1) });
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:4010/sat/20580');
+  });
+
+  test('replay loops over recorded samples in time order', async () => {
+    const provider = createTelemetryProvider({
+      type: 'replay',
+      samples: [
+        { lat: 2, lng: 2, timestamp: 2000000000000 },
+        { latitude: 1, longitude: 1, timestamp: 1000000000 },
+        { bogus: true },
+      ],
+    });
+    const lats = [];
+    for (let i = 0; i < 3; i += 1) lats.push((await provider.fetchPosition({ noradId: '25544' })).lat);
+    expect(lats).toEqual([1, 2, 1]);
+  });
+
+  test('the local mock answers from SGP4 without network', async () => {
+    const satrec = satellite.twoline2satrec(...ISS_TLE);
+    jest.spyOn(Date, 'now').mockReturnValue((satrec.jdsatepoch - 2440587.5) * 86400000 + 30 * 60 * 1000);
+    const sample = await createTelemetryProvider({ type: 'mock' }).fetchPosition({ noradId: '25544', satrec });
+    expect(sample.altitudeKm).toBeGreaterThan(100);
+    expect(Math.abs(sample.lat)).toBeLessThanOrEqual(52);
+  });
+});
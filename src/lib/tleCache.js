@@ -0,0 +1,23 @@
+// Keeps the last good element sets in localStorage so the app can keep propagating without a network.
+
+const STORAGE_KEY = 'iss-tracker:tle-cache';
+
+// Returns the cached catalog entries keyed by NORAD ID (empty when nothing was stored or storage is blocked).
+export function loadTleCache() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed?.entries && typeof parsed.entries === 'object' ? parsed.entries : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Stores the given entries (each keeps its fetchedAt and epochMs) replacing the previous snapshot.
+export function saveTleCache(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), entries }));
+  } catch (err) {
+    // Quota exceeded or storage disabled: offline mode simply falls back to live sources.
+  }
+}
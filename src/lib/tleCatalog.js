@@ -0,0 +1,106 @@
+// Helpers that turn raw TLE text (two-line or three-line format) into catalog entries keyed by NORAD ID.
+
+// Extracts the NORAD catalog number (columns 3-7 of line 1) without zero padding.
+export function noradIdFromLine1(line1) {
+  const raw = line1.substring(2, 7).trim();
+  return /^\d+$/.test(raw) ? String(Number(raw)) : raw;
+}
+
+// Converts an international designator such as "98067A" into its launch key ("1998-067").
+export function launchKeyFromDesignator(designator) {
+  if (!designator || designator.length < 5) return null;
+  const yy = Number(designator.substring(0, 2));
+  const launchNumber = designator.substring(2, 5);
+  if (!Number.isFinite(yy)) return null;
+  const year = yy < 57 ? 2000 + yy : 1900 + yy;
+  return `${year}-${launchNumber}`;
+}
+
+// Converts the epoch field of line 1 (YYDDD.DDDDDDDD, columns 19-32) into a UTC timestamp in ms.
+export function epochFromLine1(line1) {
+  const raw = line1.substring(18, 32).trim();
+  const yy = Number(raw.substring(0, 2));
+  const dayOfYear = Number(raw.substring(2));
+  if (!raw || !Number.isFinite(yy) || !Number.isFinite(dayOfYear)) return null;
+  const year = yy < 57 ? 2000 + yy : 1900 + yy;
+  return Date.UTC(year, 0, 1) + (dayOfYear - 1) * 86400000;
+}
+
+// Modulo-10 checksum of the first 68 columns: digits add their value and minus signs count as 1.
+export function tleChecksum(line) {
+  let sum = 0;
+  for (const char of line.substring(0, 68)) {
+    if (char >= '0' && char <= '9') sum += Number(char);
+    else if (char === '-') sum += 1;
+  }
+  return sum % 10;
+}
+
+// Lists the problems found in an element set: format, checksums, catalog number consistency and epoch.
+export function validateTleEntry(entry, nowMs = Date.now()) {
+  const issues = [];
+  const { line1 = '', line2 = '' } = entry || {};
+  [line1, line2].forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (line.length !== 69) {
+      issues.push(`Línea ${lineNumber}: longitud ${line.length} (se esperaban 69)`);
+      return;
+    }
+    if (!line.startsWith(`${lineNumber} `)) issues.push(`Línea ${lineNumber}: número de línea incorrecto`);
+    const expected = tleChecksum(line);
+    if (!/\d/.test(line[68]) || Number(line[68]) !== expected) {
+      issues.push(`Línea ${lineNumber}: checksum ${line[68]} (calculado ${expected})`);
+    }
+  });
+  if (line1 && line2 && line1.substring(2, 7) !== line2.substring(2, 7)) {
+    issues.push(`Número de catálogo distinto en cada línea (${line1.substring(2, 7).trim()} / ${line2.substring(2, 7).trim()})`);
+  }
+  const epochMs = line1 ? epochFromLine1(line1) : null;
+  if (epochMs == null) issues.push('Época ilegible');
+  else if (epochMs > nowMs + 86400000) issues.push('Época en el futuro');
+  return { valid: issues.length === 0, issues, epochMs };
+}
+
+// Keeps, per NORAD ID, the valid element set with the newest epoch.
+export function pickFreshestEntries(entries, nowMs = Date.now()) {
+  const best = new Map();
+  entries.forEach((entry) => {
+    if (!validateTleEntry(entry, nowMs).valid) return;
+    const current = best.get(entry.noradId);
+    if (!current || entry.epochMs > current.epochMs) best.set(entry.noradId, entry);
+  });
+  return [...best.values()];
+}
+
+// Parses every element set found in a TLE file; name lines are optional (two-line format).
+export function parseTleCatalog(text) {
+  if (!text) return [];
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const entries = [];
+
+  for (let i = 0; i < lines.length - 1; i += 1) {
+    const line1 = lines[i];
+    const line2 = lines[i + 1];
+    if (!line1.startsWith('1 ') || !line2.startsWith('2 ')) continue;
+
+    const previous = lines[i - 1];
+    const hasNameLine = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ');
+    const noradId = noradIdFromLine1(line1);
+    const intlDesignator = line1.substring(9, 17).trim();
+    entries.push({
+      noradId,
+      name: hasNameLine ? previous.replace(/^0 /, '') : `NORAD ${noradId}`,
+      line1,
+      line2,
+      intlDesignator,
+      launch: launchKeyFromDesignator(intlDesignator),
+      epochMs: epochFromLine1(line1),
+    });
+    i += 1;
+  }
+
+  return entries;
+}
@@ -0,0 +1,51 @@
+import { epochFromLine1, parseTleCatalog, pickFreshestEntries, tleChecksum, validateTleEntry } from './tleCatalog';
+
+// ISS element set with valid checksums (epoch 2008-09-20).
+const ISS_LINES = [
+  'ISS (ZARYA)',
+  '1 25544U 98067A   08264.51782528 -.00002182  00000-0 -11606-4 0  2927',
+  '2 25544  51.6416 247.4627 0006703 130.5360 325.0288 15.72125391563537',
+];
+const NOW = Date.UTC(2008, 8, 25);
+
+// Replaces the checksum digit so the line keeps its length but fails validation.
+const withChecksum = (line, digit) => `${line.slice(0, 68)}${digit}`;
+
+describe('tleChecksum', () => {
+  test('matches the published checksum digits', () => {
+    expect(tleChecksum(ISS_LINES[1])).toBe(7);
+    expect(tleChecksum(ISS_LINES[2])).toBe(7);
+  });
+});
+
+describe('validateTleEntry', () => {
+  const [entry] = parseTleCatalog(ISS_LINES.join('\n'));
+
+  test('accepts a well-formed element set and reports its epoch', () => {
+    const result = validateTleEntry(entry, NOW);
+    expect(result).toEqual({ valid: true, issues: [], epochMs: epochFromLine1(entry.line1) });
+    expect(new Date(result.epochMs).toISOString()).toBe('2008-09-20T12:25:40.104Z');
+  });
+
+  test('rejects bad checksums, mismatched catalog numbers and future epochs', () => {
+    expect(validateTleEntry({ ...entry, line1: withChecksum(entry.line1, 3) }, NOW).issues).toEqual([
+      'Línea 1: checksum 3 (calculado 7)',
+    ]);
+    const otherObject = entry.line2.replace('2 25544', '2 25545');
+    expect(validateTleEntry({ ...entry, line2: withChecksum(otherObject, tleChecksum(otherObject)) }, NOW).issues).toEqual([
+      'Número de catálogo distinto en cada línea (25544 / 25545)',
+    ]);
+    expect(validateTleEntry(entry, Date.UTC(2008, 0, 1)).issues).toEqual(['Época en el futuro']);
+  });
+});
+
+describe('pickFreshestEntries', () => {
+  test('keeps the newest valid element set per object', () => {
+    const [older] = parseTleCatalog(ISS_LINES.join('\n'));
+    const newer = { ...older, epochMs: older.epochMs + 3600000, line1: older.line1.replace('08264.51782528', '08264.55949195') };
+    newer.line1 = withChecksum(newer.line1, tleChecksum(newer.line1));
+    const corrupt = { ...older, epochMs: older.epochMs + 7200000, line1: withChecksum(older.line1, 0) };
+
+    expect(pickFreshestEntries([older, corrupt, newer], NOW)).toEqual([newer]);
+  });
+});
@@ -0,0 +1,74 @@
+// Shareable view state kept in the query string, e.g.
+// ?target=40.41680,-3.70380&label=Madrid&km=150&sat=25544&group=stations&map=40.4,-3.7,4&cam=0,0,3.2&pass=...&sim=...&speed=8
+import { clampRate, clampSimTime } from './simulationClock';
+
+// Comma-separated numbers; null unless exactly `count` finite values are present.
+function parseNumbers(value, count) {
+  if (!value) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === count && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+// ISO date or epoch milliseconds.
+function parseTime(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// 2024-06-01T21:03:07Z (second precision is enough for a shared instant).
+const formatTime = (ms) => new Date(Math.round(ms / 1000) * 1000).toISOString().replace('.000Z', 'Z');
+
+// Reads every supported parameter; missing or malformed ones come back as null.
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const coords = parseNumbers(params.get('target'), 2);
+  const target =
+    coords && Math.abs(coords[0]) <= 90 && Math.abs(coords[1]) <= 180
+      ? { lat: coords[0], lng: coords[1], label: params.get('label') || null }
+      : null;
+  const thresholdKm = Number(params.get('km'));
+  const map = parseNumbers(params.get('map'), 3);
+  const speed = Number(params.get('speed'));
+  const simTimeMs = parseTime(params.get('sim'));
+  return {
+    target,
+    thresholdKm: params.has('km') && thresholdKm > 0 ? thresholdKm : null,
+    satId: /^\d+$/.test(params.get('sat') || '') ? params.get('sat') : null,
+    group: params.get('group') || null,
+    map: map ? { lat: map[0], lng: map[1], zoom: map[2] } : null,
+    camera: parseNumbers(params.get('cam'), 3),
+    passRiseMs: parseTime(params.get('pass')),
+    // Linked clock values are clamped to what the simulation clock itself allows.
+    simTimeMs: simTimeMs != null ? clampSimTime(simTimeMs) : null,
+    speed: params.has('speed') && Number.isFinite(speed) && speed !== 0 ? clampRate(speed) : null,
+  };
+}
+
+// Query string (with leading "?", or "" when empty) for the given state; null fields are left out.
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+  if (state.target) {
+    params.set('target', `${state.target.lat.toFixed(5)},${state.target.lng.toFixed(5)}`);
+    if (state.target.label) params.set('label', state.target.label);
+  }
+  if (state.thresholdKm != null) params.set('km', String(state.thresholdKm));
+  if (state.satId) params.set('sat', state.satId);
+  if (state.group) params.set('group', state.group);
+  if (state.map) params.set('map', [round(state.map.lat, 3), round(state.map.lng, 3), state.map.zoom].join(','));
+  if (state.camera) params.set('cam', state.camera.map((value) => round(value, 2)).join(','));
+  if (state.passRiseMs != null) params.set('pass', formatTime(state.passRiseMs));
+  if (state.simTimeMs != null) params.set('sim', formatTime(state.simTimeMs));
+  if (state.speed != null) params.set('speed', String(state.speed));
+  const search = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  return search ? `?${search}` : '';
+}
+
+// Changes to what is being looked at (target, object, pass) deserve a history entry; view tweaks only replace it.
+export function isNewHistoryEntry(previous, next) {
+  const key = ({ target, satId, passRiseMs }) =>
+    buildUrlSearch({ target: target && { lat: target.lat, lng: target.lng }, satId, passRiseMs });
+  return key(previous) !== key(next);
+}
@@ -0,0 +1,59 @@
+import { SIM_RATE_MAX, SIM_RATE_MIN, SIM_TIME_MAX_MS, SIM_TIME_MIN_MS } from './simulationClock';
+import { buildUrlSearch, isNewHistoryEntry, parseUrlState } from './urlState';
+
+const STATE = {
+  target: { lat: 40.4168, lng: -3.7038, label: 'Madrid centro' },
+  thresholdKm: 150,
+  satId: '25544',
+  group: 'starlink',
+  map: { lat: 40.41234, lng: -3.70123, zoom: 4 },
+  camera: [1.234, 0.5, 2.9],
+  passRiseMs: Date.UTC(2024, 5, 1, 21, 3, 7, 420),
+  simTimeMs: Date.UTC(2024, 5, 1, 21, 5, 0),
+  speed: -960,
+};
+
+describe('url state', () => {
+  test('round-trips target, threshold, object, views and simulation', () => {
+    const search = buildUrlSearch(STATE);
+    expect(search).toContain('target=40.41680,-3.70380');
+    expect(search).toContain('pass=2024-06-01T21:03:07Z');
+    expect(parseUrlState(search)).toEqual({
+      ...STATE,
+      map: { lat: 40.412, lng: -3.701, zoom: 4 },
+      camera: [1.23, 0.5, 2.9],
+      passRiseMs: Date.UTC(2024, 5, 1, 21, 3, 7),
+    });
+  });
+
+  test('leaves out empty fields and ignores malformed parameters', () => {
+    expect(buildUrlSearch({ target: null, speed: null })).toBe('');
+    expect(parseUrlState('?target=95,10&km=-3&sat=ISS&map=1,2&speed=0&sim=nope')).toEqual({
+      target: null,
+      thresholdKm: null,
+      satId: null,
+      group: null,
+      map: null,
+      camera: null,
+      passRiseMs: null,
+      simTimeMs: null,
+      speed: null,
+    });
+  });
+
+  test('clamps out-of-range speeds and instants to the simulation clock bounds', () => {
+    expect(parseUrlState('?speed=1e9').speed).toBe(SIM_RATE_MAX);
+    expect(parseUrlState('?speed=-1e9').speed).toBe(-SIM_RATE_MAX);
+    expect(parseUrlState('?speed=0.001').speed).toBe(SIM_RATE_MIN);
+    expect(parseUrlState('?sim=1900-01-01T00:00:00Z').simTimeMs).toBe(SIM_TIME_MIN_MS);
+    expect(parseUrlState('?sim=99999999999999').simTimeMs).toBe(SIM_TIME_MAX_MS);
+  });
+
+  test('only asks for a new history entry when target, object or pass change', () => {
+    const previous = parseUrlState(buildUrlSearch(STATE));
+    expect(isNewHistoryEntry(previous, { ...STATE, map: null, simTimeMs: null, thresholdKm: 50 })).toBe(false);
+    expect(isNewHistoryEntry(previous, { ...STATE, satId: '48274' })).toBe(true);
+    expect(isNewHistoryEntry(previous, { ...STATE, target: { lat: 41.39, lng: 2.17 } })).toBe(true);
+    expect(isNewHistoryEntry(previous, { ...STATE, passRiseMs: null })).toBe(true);
+  });
+});
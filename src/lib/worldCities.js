@@ -0,0 +1,127 @@
+// Small offline gazetteer used when no geocoding service is reachable: [name, country, lat, lng].
+// Capitals and large cities, with Spanish exonyms where they exist.
+export const WORLD_CITIES = [
+  ['Madrid', 'España', 40.4168, -3.7038],
+  ['Barcelona', 'España', 41.3874, 2.1686],
+  ['Valencia', 'España', 39.4699, -0.3763],
+  ['Sevilla', 'España', 37.3891, -5.9845],
+  ['Zaragoza', 'España', 41.6488, -0.8891],
+  ['Málaga', 'España', 36.7213, -4.4214],
+  ['Bilbao', 'España', 43.263, -2.935],
+  ['Palma', 'España', 39.5696, 2.6502],
+  ['Las Palmas de Gran Canaria', 'España', 28.1235, -15.4363],
+  ['Santa Cruz de Tenerife', 'España', 28.4636, -16.2518],
+  ['A Coruña', 'España', 43.3623, -8.4115],
+  ['Lisboa', 'Portugal', 38.7223, -9.1393],
+  ['Oporto', 'Portugal', 41.1579, -8.6291],
+  ['París', 'Francia', 48.8566, 2.3522],
+  ['Marsella', 'Francia', 43.2965, 5.3698],
+  ['Toulouse', 'Francia', 43.6047, 1.4442],
+  ['Londres', 'Reino Unido', 51.5072, -0.1276],
+  ['Edimburgo', 'Reino Unido', 55.9533, -3.1883],
+  ['Dublín', 'Irlanda', 53.3498, -6.2603],
+  ['Bruselas', 'Bélgica', 50.8503, 4.3517],
+  ['Ámsterdam', 'Países Bajos', 52.3676, 4.9041],
+  ['Berlín', 'Alemania', 52.52, 13.405],
+  ['Múnich', 'Alemania', 48.1351, 11.582],
+  ['Fráncfort', 'Alemania', 50.1109, 8.6821],
+  ['Colonia', 'Alemania', 50.9375, 6.9603],
+  ['Zúrich', 'Suiza', 47.3769, 8.5417],
+  ['Ginebra', 'Suiza', 46.2044, 6.1432],
+  ['Viena', 'Austria', 48.2082, 16.3738],
+  ['Roma', 'Italia', 41.9028, 12.4964],
+  ['Milán', 'Italia', 45.4642, 9.19],
+  ['Nápoles', 'Italia', 40.8518, 14.2681],
+  ['Atenas', 'Grecia', 37.9838, 23.7275],
+  ['Copenhague', 'Dinamarca', 55.6761, 12.5683],
+  ['Oslo', 'Noruega', 59.9139, 10.7522],
+  ['Estocolmo', 'Suecia', 59.3293, 18.0686],
+  ['Helsinki', 'Finlandia', 60.1699, 24.9384],
+  ['Reikiavik', 'Islandia', 64.1466, -21.9426],
+  ['Varsovia', 'Polonia', 52.2297, 21.0122],
+  ['Praga', 'Chequia', 50.0755, 14.4378],
+  ['Budapest', 'Hungría', 47.4979, 19.0402],
+  ['Bucarest', 'Rumanía', 44.4268, 26.1025],
+  ['Kiev', 'Ucrania', 50.4501, 30.5234],
+  ['Moscú', 'Rusia', 55.7558, 37.6173],
+  ['San Petersburgo', 'Rusia', 59.9311, 30.3609],
+  ['Estambul', 'Turquía', 41.0082, 28.9784],
+  ['Ankara', 'Turquía', 39.9334, 32.8597],
+  ['El Cairo', 'Egipto', 30.0444, 31.2357],
+  ['Casablanca', 'Marruecos', 33.5731, -7.5898],
+  ['Rabat', 'Marruecos', 34.0209, -6.8416],
+  ['Argel', 'Argelia', 36.7538, 3.0588],
+  ['Túnez', 'Túnez', 36.8065, 10.1815],
+  ['Lagos', 'Nigeria', 6.5244, 3.3792],
+  ['Nairobi', 'Kenia', -1.2921, 36.8219],
+  ['Adís Abeba', 'Etiopía', 8.9806, 38.7578],
+  ['Johannesburgo', 'Sudáfrica', -26.2041, 28.0473],
+  ['Ciudad del Cabo', 'Sudáfrica', -33.9249, 18.4241],
+  ['Dakar', 'Senegal', 14.7167, -17.4677],
+  ['Kinsasa', 'RD del Congo', -4.4419, 15.2663],
+  ['Jerusalén', 'Israel', 31.7683, 35.2137],
+  ['Riad', 'Arabia Saudí', 24.7136, 46.6753],
+  ['Dubái', 'Emiratos Árabes Unidos', 25.2048, 55.2708],
+  ['Teherán', 'Irán', 35.6892, 51.389],
+  ['Karachi', 'Pakistán', 24.8607, 67.0011],
+  ['Nueva Delhi', 'India', 28.6139, 77.209],
+  ['Bombay', 'India', 19.076, 72.8777],
+  ['Bangalore', 'India', 12.9716, 77.5946],
+  ['Daca', 'Bangladés', 23.8103, 90.4125],
+  ['Bangkok', 'Tailandia', 13.7563, 100.5018],
+  ['Singapur', 'Singapur', 1.3521, 103.8198],
+  ['Yakarta', 'Indonesia', -6.2088, 106.8456],
+  ['Manila', 'Filipinas', 14.5995, 120.9842],
+  ['Hanói', 'Vietnam', 21.0278, 105.8342],
+  ['Pekín', 'China', 39.9042, 116.4074],
+  ['Shanghái', 'China', 31.2304, 121.4737],
+  ['Hong Kong', 'China', 22.3193, 114.1694],
+  ['Taipéi', 'Taiwán', 25.033, 121.5654],
+  ['Seúl', 'Corea del Sur', 37.5665, 126.978],
+  ['Tokio', 'Japón', 35.6762, 139.6503],
+  ['Osaka', 'Japón', 34.6937, 135.5023],
+  ['Sídney', 'Australia', -33.8688, 151.2093],
+  ['Melbourne', 'Australia', -37.8136, 144.9631],
+  ['Perth', 'Australia', -31.9523, 115.8613],
+  ['Auckland', 'Nueva Zelanda', -36.8485, 174.7633],
+  ['Honolulu', 'Estados Unidos', 21.3069, -157.8583],
+  ['Anchorage', 'Estados Unidos', 61.2181, -149.9003],
+  ['Los Ángeles', 'Estados Unidos', 34.0522, -118.2437],
+  ['San Francisco', 'Estados Unidos', 37.7749, -122.4194],
+  ['Seattle', 'Estados Unidos', 47.6062, -122.3321],
+  ['Denver', 'Estados Unidos', 39.7392, -104.9903],
+  ['Houston', 'Estados Unidos', 29.7604, -95.3698],
+  ['Chicago', 'Estados Unidos', 41.8781, -87.6298],
+  ['Miami', 'Estados Unidos', 25.7617, -80.1918],
+  ['Cabo Cañaveral', 'Estados Unidos', 28.3922, -80.6077],
+  ['Washington D. C.', 'Estados Unidos', 38.9072, -77.0369],
+  ['Nueva York', 'Estados Unidos', 40.7128, -74.006],
+  ['Toronto', 'Canadá', 43.6532, -79.3832],
+  ['Montreal', 'Canadá', 45.5019, -73.5674],
+  ['Vancouver', 'Canadá', 49.2827, -123.1207],
+  ['Ciudad de México', 'México', 19.4326, -99.1332],
+  ['Guadalajara', 'México', 20.6597, -103.3496],
+  ['Monterrey', 'México', 25.6866, -100.3161],
+  ['Guatemala', 'Guatemala', 14.6349, -90.5069],
+  ['San José', 'Costa Rica', 9.9281, -84.0907],
+  ['Panamá', 'Panamá', 8.9824, -79.5199],
+  ['La Habana', 'Cuba', 23.1136, -82.3666],
+  ['Santo Domingo', 'República Dominicana', 18.4861, -69.9312],
+  ['San Juan', 'Puerto Rico', 18.4655, -66.1057],
+  ['Caracas', 'Venezuela', 10.4806, -66.9036],
+  ['Bogotá', 'Colombia', 4.711, -74.0721],
+  ['Medellín', 'Colombia', 6.2442, -75.5812],
+  ['Quito', 'Ecuador', -0.1807, -78.4678],
+  ['Lima', 'Perú', -12.0464, -77.0428],
+  ['La Paz', 'Bolivia', -16.4897, -68.1193],
+  ['Santiago de Chile', 'Chile', -33.4489, -70.6693],
+  ['Buenos Aires', 'Argentina', -34.6037, -58.3816],
+  ['Córdoba', 'Argentina', -31.4201, -64.1888],
+  ['Montevideo', 'Uruguay', -34.9011, -56.1645],
+  ['Asunción', 'Paraguay', -25.2637, -57.5759],
+  ['São Paulo', 'Brasil', -23.5558, -46.6396],
+  ['Río de Janeiro', 'Brasil', -22.9068, -43.1729],
+  ['Brasilia', 'Brasil', -15.7939, -47.8828],
+  ['Kourou', 'Guayana Francesa', 5.1597, -52.6503],
+  ['Baikonur', 'Kazajistán', 45.9646, 63.3052],
+];
@@ -0,0 +1,7 @@
+/* eslint-disable no-restricted-globals */
+// Dedicated worker that keeps SGP4 sweeps (passes, ground tracks) off the main thread.
+import { createJobRunner } from './propagationJobs';
+
+const runner = createJobRunner((message) => self.postMessage(message));
+
+self.onmessage = (event) => runner.handle(event.data);
@@ -0,0 +1,64 @@
+// Promise API over the propagation worker: request(type, payload, { signal }) with AbortSignal cancellation.
+// Falls back to running the same jobs in-thread when Web Workers are not available.
+import { createJobRunner } from './propagationJobs';
+
+function abortError() {
+  return new DOMException('Cálculo orbital cancelado', 'AbortError');
+}
+
+export function createPropagationClient() {
+  const pending = new Map();
+  let nextId = 1;
+
+  const settle = ({ id, result, error }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(result);
+  };
+
+  let transport;
+  if (typeof Worker !== 'undefined') {
+    const worker = new Worker(new URL('./propagation.worker.js', import.meta.url));
+    worker.onmessage = (event) => settle(event.data);
+    worker.onerror = (event) => {
+      pending.forEach((request) => request.reject(new Error(event.message || 'Fallo en el worker de propagación')));
+      pending.clear();
+    };
+    transport = { send: (message) => worker.postMessage(message), terminate: () => worker.terminate() };
+  } else {
+    const runner = createJobRunner(settle);
+    transport = { send: (message) => runner.handle(message), terminate: () => {} };
+  }
+
+  return {
+    request(type, payload, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const id = nextId;
+        nextId += 1;
+        pending.set(id, { resolve, reject });
+        signal?.addEventListener(
+          'abort',
+          () => {
+            if (!pending.delete(id)) return;
+            transport.send({ type: 'cancel', id });
+            reject(abortError());
+          },
+          { once: true }
+        );
+        transport.send({ id, type, payload });
+      });
+    },
+
+    terminate() {
+      transport.terminate();
+      pending.forEach((request) => request.reject(abortError()));
+      pending.clear();
+    },
+  };
+}
@@ -0,0 +1,114 @@
+// Propagation jobs run by the worker (or in-thread when workers are unavailable). Long jobs are
+// generators that yield between chunks so a cancelled request stops early; short ones are plain functions.
+import { buildGroundTrack, computeSatelliteState, findPasses } from '../lib/orbit';
+
+const PASS_CHUNK_MS = 6 * 60 * 60 * 1000; // search passes six hours at a time between cancellation checks
+const DUPLICATE_PASS_MS = 60 * 1000; // passes straddling two chunks are reported by both
+const RANGE_CHUNK_SAMPLES = 2000;
+
+const jobs = {
+  // Raw propagated states (lat/lng/altitude/velocity) every stepMs within a time range.
+  *propagateRange({ satrec, startMs, endMs, stepMs }) {
+    const states = [];
+    let samples = 0;
+    for (let t = startMs; t <= endMs; t += stepMs) {
+      const state = computeSatelliteState(satrec, t);
+      if (state) states.push(state);
+      samples += 1;
+      if (samples % RANGE_CHUNK_SAMPLES === 0) yield;
+    }
+    return states;
+  },
+
+  // Observer passes over a target, searched chunk by chunk.
+  *findPasses({ satrec, observer, startMs, endMs, minElevationDeg, maxPasses = Infinity }) {
+    const passes = [];
+    for (let chunkStart = startMs; chunkStart < endMs && passes.length < maxPasses; chunkStart += PASS_CHUNK_MS) {
+      const chunkEnd = Math.min(chunkStart + PASS_CHUNK_MS, endMs);
+      findPasses(satrec, observer, { startMs: chunkStart, endMs: chunkEnd, minElevationDeg }).forEach((pass) => {
+        const last = passes[passes.length - 1];
+        if (!last || Math.abs(pass.rise.time - last.rise.time) > DUPLICATE_PASS_MS) passes.push(pass);
+      });
+      yield;
+    }
+    return passes.slice(0, maxPasses);
+  },
+
+  // Sub-satellite track of a single object (used by the simulation player).
+  buildGroundTrack({ satrec, ...options }) {
+    return buildGroundTrack(satrec, options);
+  },
+
+  // Ground tracks of several objects, yielding between objects.
+  *buildGroundTracks({ satellites, startMs, stepMs }) {
+    const tracks = [];
+    for (const sat of satellites) {
+      tracks.push({ id: sat.id, path: buildGroundTrack(sat.satrec, { startMs, endMs: sat.endMs, stepMs }) });
+      yield;
+    }
+    return tracks;
+  },
+};
+
+// Queues incoming requests and steps one job chunk per macrotask so "cancel" messages are honored.
+export function createJobRunner(post) {
+  const queue = [];
+  let active = null;
+  let scheduled = false;
+
+  const schedule = () => {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(step, 0);
+  };
+
+  function step() {
+    scheduled = false;
+    if (!active) {
+      const next = queue.shift();
+      if (!next) return;
+      const job = jobs[next.type];
+      try {
+        if (!job) throw new Error(`Trabajo de propagación desconocido: ${next.type}`);
+        const output = job(next.payload);
+        if (typeof output?.next !== 'function') {
+          post({ id: next.id, result: output });
+        } else {
+          active = { id: next.id, iterator: output };
+        }
+      } catch (err) {
+        post({ id: next.id, error: err.message });
+      }
+      if (!active) {
+        if (queue.length) schedule();
+        return;
+      }
+    }
+
+    try {
+      const { done, value } = active.iterator.next();
+      if (done) {
+        post({ id: active.id, result: value });
+        active = null;
+      }
+    } catch (err) {
+      post({ id: active.id, error: err.message });
+      active = null;
+    }
+
+    if (active || queue.length) schedule();
+  }
+
+  return {
+    handle(message) {
+      if (message.type === 'cancel') {
+        if (active?.id === message.id) active = null;
+        const index = queue.findIndex((item) => item.id === message.id);
+        if (index >= 0) queue.splice(index, 1);
+        return;
+      }
+      queue.push(message);
+      schedule();
+    },
+  };
+}